@@ -2,20 +2,84 @@
  * index.js
  *
  * Final full bot code (updated per your requests)
- * - Edit command modal: Title, Description, Image1, Image2, Image3 (all optional).
+ * - Edit command modal: Title, Description, Image1, Image2, Image3, pre-filled from the message. Blank keeps
+ *   the current value and "-" removes it; thumbnail, colour and fields are kept and the attribution line is replaced.
  *   After editing, the embed description is appended with:
  *     -# Edit By {displayname} | <t:TIMESTAMP:f>
  *   where TIMESTAMP is the edit time.
  * - Moderation commands implemented: purge, timeout, untimeout, ban, unban.
  * - All slash commands are hidden from non-admins (default_member_permissions = Administrator).
- * - Sell.app verification logic is left untouched (no changes to its behavior or DB logic).
+ * - Sell.app verification: role assignment lives in assignRoleAndPersist, shared by the
+ *   invoice modal and the optional webhook listener.
  * - Footers removed entirely; appended small lines are added to descriptions instead.
- * - /updates uses title 🧊𝐔𝐩𝐝𝐚𝐭𝐞𝐬🧊 and supports two optional images.
+ * - /updates uses title 🧊𝐔𝐩𝐝𝐚𝐭𝐞𝐬🧊 and supports two optional images. It goes to every configured
+ *   updates channel with that channel's mention (everyone / role / none); Announcement channels are published.
  * - /embed_simple added (one image + thumbnail).
+ * - /embed, /embed_simple, /updates and /editembed take image uploads (attachment://) as well as URLs;
+ *   URLs are checked with a HEAD/GET request and rejected unless they serve an image (private and local
+ *   addresses are refused, on every redirect hop).
+ * - /embed, /embed_simple and /updates take an optional schedule (date, time, timezone); posts are
+ *   stored in scheduled_posts, published by a job that survives restarts, and managed with /scheduled.
+ *   A post interrupted mid-send is reported to staff instead of being sent twice.
  * - Stability improvements: cooldown pruning, graceful DB close, defensive checks.
+ * - /rolemap add|remove|list|test manages the role_mappings table (product ID -> role).
+ * - Verified roles are re-added automatically when a customer rejoins (revoked records skipped).
+ * - Optional Sell.app webhook listener (paid -> grant, refunded/disputed -> revoke).
+ *   Test locally with scripts/sellapp-webhook-sim.js.
+ * - Multi-product invoices: every cart item resolves through role_mappings and all roles are
+ *   assigned at once (one verifications row per product-role pair).
+ * - /verification lookup shows who owns an invoice and a user's full verification history.
+ * - /verification grant|revoke|transfer for manual staff fixes; each action is stored in
+ *   verification_actions with the staff member and reason.
+ * - Every invoice_modal outcome is posted to the verification log channel, colour-coded by result.
+ * - Failed verification attempts are stored in SQLite; too many in the window locks the user out
+ *   (survives restarts) and alerts staff. One invoice tried from several accounts is flagged too.
+ * - Optional purchase email check in the verify modal (case-insensitive; the email is never stored or logged).
+ * - Per-guild settings in guild_settings (/config view|set|reset): channels, fallback role, storefront,
+ *   branding and presence. .env values are only first-run defaults. Role mappings and verifications
+ *   belong to a server too, and the background jobs work on every server the bot is in.
+ * - Time-limited roles: /rolemap add ... duration, expiry job with renewal DMs, /subscription extend|end.
+ * - Storefront providers (Sell.app, SellAuth, Shoppy, generic REST/JSON); /verifyemb can pin a panel
+ *   to one provider and each verification records its provider. Mock server: scripts/mock-storefront.js.
+ *   /rolemap add can tie a mapping to a provider; unpinned panels then also look invoices up there.
+ * - Stored invoices are re-checked on a schedule; refunded/disputed/reversed ones lose their role
+ *   and a summary is posted to the staff channel.
+ * - Per-guild embed templates (/template save|list|delete, /embed template:<name>) pre-fill the /embed
+ *   modal. {server}, {member_count}, {date} and {user} are filled in when an embed is sent.
+ * - /embed_json post takes a Discohook JSON file (content + up to 10 embeds), checks Discord's limits and
+ *   posts it; /embed_json export dumps one of the bot's messages back to JSON.
+ * - Every edit the bot makes to its messages saves the previous version (embed_revisions);
+ *   /embedhistory <message> lists revisions, diffs one against the message and restores it in one click.
+ * - /embed_builder: step-by-step builder with an ephemeral preview (fields, author, footer, colour, link
+ *   buttons, timestamp) that posts with the usual "Submitted By" line.
+ * - /rolepanel create|edit|add-role|remove-role|list|delete: self-assign role panels (buttons or a select
+ *   menu) stored in SQLite, with an optional required role. Staff roles and purchase roles are refused.
+ * - /ban, /unban, /timeout, /untimeout and /purge record numbered cases in mod_cases, mirrored to the mod-log
+ *   channel; /case view|edit-reason|delete and /modlog <user> look them up.
+ * - /warn, /warnings, /clearwarn: warnings expire after warn_expiry, are DMed to the member and escalate to a
+ *   timeout or ban through the warn_escalation ladder (/config).
+ * - /ban duration:<3d> makes a temporary ban (temp_bans, at most a year); a job lifts it when it ends, even
+ *   after a restart. Unbanning in Discord closes it too. /tempbans lists the active ones.
  *
  * Make sure to set environment variables in a .env file:
  * DISCORD_TOKEN, CLIENT_ID, SELLAPP_API_KEY, UPDATES_CHANNEL_IDS, VERIFY_ROLE_ID, SQLITE_PATH (optional), etc.
+ * UPDATES_CHANNEL_IDS: comma-separated channel IDs, each optionally ":everyone" (default), ":none" or ":<roleId>".
+ * Webhooks (optional): SELLAPP_WEBHOOK_PORT, SELLAPP_WEBHOOK_SECRET,
+ * SELLAPP_DISCORD_FIELD (checkout field label holding the buyer's Discord ID/username, default "Discord").
+ * GUILD_ID: optional; limits webhook grants to one server and picks the server shown in the presence.
+ * STAFF_CHANNEL_ID, INVOICE_RECHECK_INTERVAL_MINUTES (default 360): refund/chargeback re-check.
+ * VERIFY_LOG_CHANNEL_ID: channel that receives an embed for every verification attempt.
+ * MOD_LOG_CHANNEL_ID: channel that receives an embed for every moderation case.
+ * WARN_EXPIRY (30d, "none" = never), WARN_ESCALATION ("3:timeout:1h,5:ban"): /warn expiry and automatic actions.
+ * VERIFY_MAX_FAILURES (5), VERIFY_FAILURE_WINDOW_MINUTES (60), VERIFY_LOCKOUT_MINUTES (60): invoice guessing lockout.
+ * VERIFY_EMAIL_MODE: off (default) | optional | required — purchase email field in the verify modal.
+ * SUBSCRIPTION_REMINDER_HOURS (24), STORE_URL: renewal reminder DMs for time-limited roles.
+ * EMBED_COLOR (#3336fc), BRAND_NAME (ICE): default branding for /config.
+ * Storefronts: VERIFY_PROVIDER (sellapp | sellauth | shoppy | generic, default sellapp),
+ *   SELLAPP_API_BASE, SELLAUTH_API_KEY, SELLAUTH_SHOP_ID, SELLAUTH_API_BASE, SHOPPY_API_KEY, SHOPPY_API_BASE,
+ *   GENERIC_STORE_URL (with {id}), GENERIC_STORE_NAME, GENERIC_STORE_AUTH_HEADER ("Header: value"),
+ *   GENERIC_STORE_STATUS_PATH, GENERIC_STORE_PRODUCTS_PATH, GENERIC_STORE_EMAIL_PATH (dot paths, [] for arrays),
+ *   GENERIC_STORE_STATUS_MAP ("paid:PAID,refunded:REFUNDED").
  */
 
 require('dotenv').config();
@@ -37,6 +101,8 @@ const {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  StringSelectMenuBuilder,
+  AttachmentBuilder,
   Events,
 } = require('discord.js');
 
@@ -44,6 +110,11 @@ const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
 
 const {
   DISCORD_TOKEN,
@@ -57,6 +128,38 @@ const {
   SELLAPP_API_KEY,
   VERIFY_ROLE_ID,
   SQLITE_PATH,
+  SELLAPP_WEBHOOK_PORT,
+  SELLAPP_WEBHOOK_SECRET,
+  SELLAPP_DISCORD_FIELD,
+  GUILD_ID,
+  STAFF_CHANNEL_ID,
+  VERIFY_LOG_CHANNEL_ID,
+  MOD_LOG_CHANNEL_ID,
+  WARN_EXPIRY,
+  WARN_ESCALATION,
+  VERIFY_MAX_FAILURES,
+  VERIFY_FAILURE_WINDOW_MINUTES,
+  VERIFY_LOCKOUT_MINUTES,
+  VERIFY_EMAIL_MODE,
+  SUBSCRIPTION_REMINDER_HOURS,
+  STORE_URL,
+  INVOICE_RECHECK_INTERVAL_MINUTES,
+  VERIFY_PROVIDER,
+  SELLAPP_API_BASE,
+  SELLAUTH_API_KEY,
+  SELLAUTH_SHOP_ID,
+  SELLAUTH_API_BASE,
+  SHOPPY_API_KEY,
+  SHOPPY_API_BASE,
+  GENERIC_STORE_NAME,
+  GENERIC_STORE_URL,
+  GENERIC_STORE_AUTH_HEADER,
+  GENERIC_STORE_STATUS_PATH,
+  GENERIC_STORE_PRODUCTS_PATH,
+  GENERIC_STORE_EMAIL_PATH,
+  GENERIC_STORE_STATUS_MAP,
+  EMBED_COLOR: EMBED_COLOR_HEX,
+  BRAND_NAME,
 } = process.env;
 
 if (!DISCORD_TOKEN || !CLIENT_ID) {
@@ -64,11 +167,11 @@ if (!DISCORD_TOKEN || !CLIENT_ID) {
   process.exit(1);
 }
 
-if (!SELLAPP_API_KEY) {
-  console.warn('[WARN] SELLAPP_API_KEY not set. Verification will fail until provided.');
+if (!SELLAPP_API_KEY && !SELLAUTH_API_KEY && !SHOPPY_API_KEY && !GENERIC_STORE_URL) {
+  console.warn('[WARN] No storefront API key set (SELLAPP_API_KEY, SELLAUTH_API_KEY, SHOPPY_API_KEY or GENERIC_STORE_URL). Verification will fail until provided.');
 }
 
-const EMBED_COLOR = 0x3336fc; // unified embed color
+const EMBED_COLOR = 0x3336fc; // unified embed color (per-guild override: embed_color setting)
 const MAX_IMAGES = 3;
 const MODAL_MAX_COMPONENTS = 5;
 const BUTTON_COOLDOWN_MS = 15_000;
@@ -91,16 +194,6 @@ function logError(msg, err) {
   console.error(`[ERROR] ${msg}`, err || '');
 }
 
-function parseChannelIds(csv) {
-  if (!csv || !csv.trim()) return [];
-  return csv
-    .split(',')
-    .map((s) => s.trim())
-    .filter((s) => /^\d{17,20}$/.test(s));
-}
-
-const UPDATES_IDS = parseChannelIds(UPDATES_CHANNEL_IDS);
-
 function resolveActivityType(mode) {
   switch ((mode || '').toLowerCase()) {
     case 'streaming':
@@ -152,11 +245,22 @@ function looksLikeUrl(s) {
  *    - 'updates' -> append All rights reserved line
  *    - 'edit' -> append Edit By line (uses provided timestamp)
  * - timestamp: unix seconds (optional). If not provided, uses current time.
+ * - color, brandName: the guild's embed_color / brand_name settings.
  *
  * Note: This function does NOT set any footer (per request).
  */
-function buildEmbed({ title, description, imageUrl, thumbnailUrl, authorDisplayName, mode = 'submit', timestamp = null }) {
-  const embed = new EmbedBuilder().setColor(EMBED_COLOR);
+function buildEmbed({
+  title,
+  description,
+  imageUrl,
+  thumbnailUrl,
+  authorDisplayName,
+  mode = 'submit',
+  timestamp = null,
+  color = EMBED_COLOR,
+  brandName = 'ICE',
+}) {
+  const embed = new EmbedBuilder().setColor(color);
 
   if (title && title.trim()) embed.setTitle(title.trim());
   if (description && description.trim()) embed.setDescription(description.trim());
@@ -166,7 +270,7 @@ function buildEmbed({ title, description, imageUrl, thumbnailUrl, authorDisplayN
   const ts = timestamp ? Math.floor(timestamp) : Math.floor(Date.now() / 1000);
 
   if (mode === 'updates') {
-    const rightsLine = `\n\n-# All rights reserved by ICE | <t:${ts}:F>`;
+    const rightsLine = `\n\n-# All rights reserved by ${brandName} | <t:${ts}:F>`;
     const existing = embed.data.description || '';
     embed.setDescription(`${existing}${rightsLine}`);
   } else if (mode === 'edit') {
@@ -185,6 +289,50 @@ function buildEmbed({ title, description, imageUrl, thumbnailUrl, authorDisplayN
   return embed;
 }
 
+// The "-# Submitted By / Edit By / All rights reserved by" lines buildEmbed appends (possibly stacked by older edits)
+const ATTRIBUTION_LINE_RE = /\n*-# (?:Submitted By|Edit By|All rights reserved by) [^\n]*$/;
+
+/**
+ * splitAttribution
+ * - Separates a description into the body and its trailing attribution lines.
+ * - Returns { body, lines } with lines in their original order.
+ */
+function splitAttribution(description) {
+  let body = description || '';
+  const lines = [];
+  let m;
+  while ((m = body.match(ATTRIBUTION_LINE_RE))) {
+    lines.unshift(m[0].trim());
+    body = body.slice(0, m.index);
+  }
+  return { body: body.trimEnd(), lines };
+}
+
+/**
+ * readEditableEmbed
+ * - What /editembed can change on a bot message: the first embed's title and body, plus the images
+ *   (the first embed's image, or the image-only embeds the multi-image posts use).
+ * - rightsTs is set for /updates posts so edits keep the rights line and its original time.
+ */
+function readEditableEmbed(message) {
+  const [primary, ...rest] = message.embeds || [];
+  const { body, lines } = splitAttribution(primary?.description);
+  const rightsLine = lines.find((l) => l.startsWith('-# All rights reserved by'));
+  const rightsTs = rightsLine && rightsLine.match(/<t:(\d+):/);
+
+  const isImageOnly = (e) => e.image?.url && !e.title && !e.description && !(e.fields && e.fields.length);
+  const imageEmbeds = rest.filter(isImageOnly);
+  const images = imageEmbeds.length ? imageEmbeds.map((e) => e.image.url) : primary?.image?.url ? [primary.image.url] : [];
+
+  return {
+    title: primary?.title || '',
+    body,
+    images,
+    otherEmbeds: rest.filter((e) => !isImageOnly(e)),
+    rightsTs: rightsTs ? parseInt(rightsTs[1], 10) : null,
+  };
+}
+
 // SQLite setup
 const DB_PATH =
   SQLITE_PATH && SQLITE_PATH.trim()
@@ -202,17 +350,195 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   logInfo(`SQLite DB opened at ${DB_PATH}`);
 });
 
-db.serialize(() => {
-  db.run(
-    `
-    CREATE TABLE IF NOT EXISTS verifications (
+// Shared by CREATE TABLE and the legacy rebuild below so both produce the same schema
+const VERIFICATIONS_COLUMNS_SQL = `
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      invoice_id TEXT NOT NULL UNIQUE,
+      invoice_id TEXT NOT NULL,
       discord_id TEXT NOT NULL,
       product_id TEXT,
       role_id TEXT,
       status TEXT NOT NULL,
       used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      reminded_at DATETIME,
+      provider TEXT DEFAULT 'sellapp',
+      guild_id TEXT
+`;
+
+// The same invoice ID may exist at two storefronts, so uniqueness includes the provider
+const VERIFICATIONS_UNIQUE_INDEX_SQL = `
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_verifications_provider_invoice_product
+    ON verifications (IFNULL(provider, 'sellapp'), invoice_id, IFNULL(product_id, ''))
+`;
+
+const ROLE_MAPPINGS_COLUMNS_SQL = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      product_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      duration_seconds INTEGER,
+      provider TEXT
+`;
+
+// provider NULL = the mapping applies to invoices from any storefront
+const ROLE_MAPPINGS_UNIQUE_INDEX_SQL = `
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_role_mappings_guild_product_provider
+    ON role_mappings (guild_id, product_id, IFNULL(provider, ''))
+`;
+
+// Adds a column to an existing table; "duplicate column" just means it is already there
+function addColumnIfMissing(table, columnDef) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      logError(`Failed to add column ${table}.${columnDef}`, err);
+    }
+  });
+}
+
+db.serialize(() => {
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS verifications (${VERIFICATIONS_COLUMNS_SQL})
+  `
+  );
+
+  addColumnIfMissing('verifications', 'expires_at DATETIME');
+  addColumnIfMissing('verifications', 'reminded_at DATETIME');
+  addColumnIfMissing('verifications', "provider TEXT DEFAULT 'sellapp'");
+  // NULL on rows from before guild_id was stored; backfillGuildIds fills them in once the bot is ready
+  addColumnIfMissing('verifications', 'guild_id TEXT');
+
+  // Older databases declared invoice_id UNIQUE (one product per invoice); rebuild them
+  // so each product-role pair of a multi-product invoice gets its own row.
+  db.get(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'verifications'`,
+    (err, row) => {
+      if (err || !row || !/invoice_id\s+TEXT\s+NOT\s+NULL\s+UNIQUE/i.test(row.sql)) return;
+
+      db.exec(
+        `
+        BEGIN;
+        ALTER TABLE verifications RENAME TO verifications_old;
+        CREATE TABLE verifications (${VERIFICATIONS_COLUMNS_SQL});
+        INSERT INTO verifications (id, invoice_id, discord_id, product_id, role_id, status, used_at, created_at)
+          SELECT id, invoice_id, discord_id, product_id, role_id, status, used_at, created_at FROM verifications_old;
+        DROP TABLE verifications_old;
+        ${VERIFICATIONS_UNIQUE_INDEX_SQL};
+        COMMIT;
+      `,
+        (migErr) => {
+          if (migErr) {
+            logError('Failed to migrate verifications table', migErr);
+            db.exec('ROLLBACK;', () => {});
+          } else {
+            logInfo('Migrated verifications table to one row per invoice product.');
+          }
+        }
+      );
+    }
+  );
+
+  db.run('DROP INDEX IF EXISTS idx_verifications_invoice_product');
+  db.run(VERIFICATIONS_UNIQUE_INDEX_SQL);
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS role_mappings (${ROLE_MAPPINGS_COLUMNS_SQL})
+  `
+  );
+
+  // NULL duration = permanent role
+  addColumnIfMissing('role_mappings', 'duration_seconds INTEGER');
+  addColumnIfMissing('role_mappings', 'provider TEXT');
+
+  // Mappings used to be global (product_id was the primary key); rebuild them so every server keeps
+  // its own. The old rows get guild_id NULL until backfillGuildIds assigns them.
+  db.get(
+    `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'role_mappings'`,
+    (err, row) => {
+      if (err || !row) return;
+      if (!/product_id\s+TEXT\s+PRIMARY\s+KEY/i.test(row.sql)) {
+        // Replaced by the index that also covers the provider, so a product ID can be mapped per storefront
+        db.run(`DROP INDEX IF EXISTS idx_role_mappings_guild_product`);
+        db.run(ROLE_MAPPINGS_UNIQUE_INDEX_SQL);
+        return;
+      }
+
+      db.exec(
+        `
+        BEGIN;
+        ALTER TABLE role_mappings RENAME TO role_mappings_old;
+        CREATE TABLE role_mappings (${ROLE_MAPPINGS_COLUMNS_SQL});
+        INSERT INTO role_mappings (product_id, role_id, duration_seconds)
+          SELECT product_id, role_id, duration_seconds FROM role_mappings_old;
+        DROP TABLE role_mappings_old;
+        ${ROLE_MAPPINGS_UNIQUE_INDEX_SQL};
+        COMMIT;
+      `,
+        (migErr) => {
+          if (migErr) {
+            logError('Failed to migrate role_mappings table', migErr);
+            db.exec('ROLLBACK;', () => {});
+          } else {
+            logInfo('Migrated role_mappings table to per-server mappings.');
+          }
+        }
+      );
+    }
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS verification_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      discord_id TEXT NOT NULL,
+      invoice_id TEXT NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  );
+
+  db.run(
+    `
+    CREATE INDEX IF NOT EXISTS idx_verification_failures_user
+      ON verification_failures (discord_id, created_at)
+  `
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS verification_lockouts (
+      discord_id TEXT PRIMARY KEY,
+      locked_until DATETIME NOT NULL,
+      failures INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS invoice_share_alerts (
+      invoice_id TEXT PRIMARY KEY,
+      accounts INTEGER NOT NULL,
+      alerted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS verification_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      invoice_id TEXT NOT NULL,
+      discord_id TEXT,
+      target_id TEXT,
+      role_id TEXT,
+      actor_id TEXT NOT NULL,
+      reason TEXT NOT NULL,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `
@@ -220,18 +546,252 @@ db.serialize(() => {
 
   db.run(
     `
-    CREATE TABLE IF NOT EXISTS role_mappings (
-      product_id TEXT PRIMARY KEY,
-      role_id TEXT NOT NULL
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (guild_id, key)
+    )
+  `
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS scheduled_posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      channel_id TEXT,
+      payload TEXT NOT NULL,
+      post_at DATETIME NOT NULL,
+      timezone TEXT,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      created_by TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      posted_at DATETIME,
+      error TEXT
+    )
+  `
+  );
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_scheduled_posts_due ON scheduled_posts (status, post_at)`);
+
+  // Uploaded images of a scheduled post; the payload JSON only references them as attachment://<name>
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS scheduled_post_files (
+      post_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      data BLOB NOT NULL,
+      PRIMARY KEY (post_id, name)
+    )
+  `
+  );
+
+  // images: JSON array of URLs; color: #RRGGBB
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS embed_templates (
+      guild_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      title TEXT,
+      description TEXT,
+      images TEXT,
+      thumbnail TEXT,
+      color TEXT,
+      created_by TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (guild_id, name)
+    )
+  `
+  );
+
+  // snapshot: the message before an edit, as Discohook JSON ({ content, embeds })
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS embed_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      edited_by TEXT NOT NULL,
+      source TEXT NOT NULL,
+      edited_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  );
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_embed_revisions_message ON embed_revisions (message_id, id)`);
+
+  // style: buttons | select; required_role_id limits who may use the panel
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS role_panels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT,
+      title TEXT NOT NULL,
+      description TEXT,
+      style TEXT NOT NULL DEFAULT 'buttons',
+      required_role_id TEXT,
+      created_by TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  );
+
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS role_panel_roles (
+      panel_id INTEGER NOT NULL,
+      role_id TEXT NOT NULL,
+      label TEXT,
+      emoji TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (panel_id, role_id)
+    )
+  `
+  );
+
+  // case_number counts per guild; target_id is a user, or the channel for purge cases.
+  // /case delete only sets deleted_at, so the row keeps its number and MAX(case_number) never goes back.
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS mod_cases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      case_number INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      moderator_id TEXT NOT NULL,
+      reason TEXT,
+      duration_seconds INTEGER,
+      details TEXT,
+      log_channel_id TEXT,
+      log_message_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      deleted_at DATETIME,
+      UNIQUE (guild_id, case_number)
+    )
+  `
+  );
+
+  addColumnIfMissing('mod_cases', 'deleted_at DATETIME');
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_mod_cases_target ON mod_cases (guild_id, target_id)`);
+
+  // expires_at is NULL when the guild's warn_expiry was "none" at the time of the warning
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS warnings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      moderator_id TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      case_number INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME
+    )
+  `
+  );
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_warnings_user ON warnings (guild_id, user_id)`);
+
+  // status: ACTIVE | LIFTED (ended on time) | UNBANNED (/unban) | REPLACED (banned again) | FAILED
+  // attempts / next_attempt_at: lifts that failed for a transient reason stay ACTIVE and are retried later
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS temp_bans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      moderator_id TEXT NOT NULL,
+      reason TEXT,
+      case_number INTEGER,
+      ends_at DATETIME NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      lifted_at DATETIME,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `
   );
+
+  addColumnIfMissing('temp_bans', 'attempts INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('temp_bans', 'next_attempt_at DATETIME');
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_temp_bans_status ON temp_bans (status, ends_at)`);
 });
 
+// Verification statuses that must not grant (or restore) a role
+const INACTIVE_VERIFICATION_STATUSES = ['REVOKED', 'REFUNDED', 'DISPUTED', 'REVERSED', 'EXPIRED'];
+
+// Promise wrappers around the sqlite3 callback API (used by the newer handlers)
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+/**
+ * checkAssignableRole
+ * - Verifies the role exists in the guild, is not managed/@everyone,
+ *   and sits below the bot's highest role.
+ * - Returns { ok, role, reason }.
+ */
+async function checkAssignableRole(guild, roleId) {
+  if (!guild || !roleId) return { ok: false, role: null, reason: 'No role provided.' };
+
+  const roleIdStr = String(roleId);
+  const role =
+    guild.roles.cache.get(roleIdStr) ||
+    (await guild.roles.fetch(roleIdStr).catch(() => null));
+
+  if (!role) return { ok: false, role: null, reason: `Role ${roleIdStr} not found in this server.` };
+  if (role.id === guild.id) return { ok: false, role, reason: '@everyone cannot be assigned.' };
+  if (role.managed) return { ok: false, role, reason: `${role} is managed by an integration.` };
+
+  const me = guild.members.me || (await guild.members.fetchMe().catch(() => null));
+  if (!me || !me.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+    return { ok: false, role, reason: 'Bot lacks Manage Roles permission.' };
+  }
+
+  if (me.roles.highest.position <= role.position) {
+    return { ok: false, role, reason: `${role} is not below the bot's highest role.` };
+  }
+
+  return { ok: true, role, reason: null };
+}
+
 // Helper to safely close DB on exit
 function gracefulShutdown() {
   try {
     logInfo('Shutting down, closing DB...');
+    if (webhookServer) webhookServer.close();
     db.close((err) => {
       if (err) logError('Error closing DB', err);
       else logInfo('DB closed.');
@@ -302,81 +862,1043 @@ function extractInvoiceStatus(invoice) {
   return null;
 }
 
-const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages],
-  partials: [Partials.GuildMember],
-});
+const VALID_INVOICE_STATUSES = ['PAID', 'COMPLETED', 'FULFILLED', 'SUCCESS'];
+
+function extractInvoiceEmail(invoice) {
+  if (!invoice) return null;
+  const candidates = [
+    invoice.customer_information?.email,
+    invoice.customer?.email,
+    invoice.customer_email,
+    invoice.email,
+  ];
+  for (const c of candidates) {
+    if (typeof c === 'string' && c.trim()) return c.trim();
+  }
+  return null;
+}
+
+function emailsMatch(entered, invoiceEmail) {
+  if (!entered || !invoiceEmail) return false;
+  return entered.trim().toLowerCase() === invoiceEmail.trim().toLowerCase();
+}
+
+// Every product on the invoice (top-level product_id plus each cart item), de-duplicated
+function extractProductIds(invoice) {
+  if (!invoice) return [];
+  const ids = [];
+
+  if (invoice.product_id) ids.push(String(invoice.product_id));
+
+  if (invoice.items && Array.isArray(invoice.items)) {
+    for (const it of invoice.items) {
+      if (!it) continue;
+      const pid = it.product_id || it.product?.id || it.id || it.sku || null;
+      if (pid) ids.push(String(pid));
+    }
+  }
+
+  return [...new Set(ids)];
+}
 
 // --------------------
-// Slash commands setup
-// All commands are registered with default_member_permissions = Administrator and DM disabled
+// Storefront providers
+// Each provider fetches an invoice/order and maps it to the bot's canonical shape:
+// status (upper-case, see VALID_INVOICE_STATUSES / INACTIVE_VERIFICATION_STATUSES),
+// product IDs and customer email. API bases are overridable so providers can be
+// pointed at a local mock server (scripts/mock-storefront.js).
 // --------------------
 
-const baseAdminPerm = PermissionsBitField.Flags.Administrator;
+function trimBase(url, fallback) {
+  return (url && url.trim() ? url.trim() : fallback).replace(/\/+$/, '');
+}
 
-const updatesCommand = new SlashCommandBuilder()
-  .setName('updates')
-  .setDescription('Post an update (modal, sends to configured UPDATES channel).')
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+// Provider-specific status words -> canonical status; unknown words are upper-cased as-is
+function normalizeStatus(raw, statusMap = {}) {
+  if (raw === null || raw === undefined) return null;
+  const s = String(raw).trim();
+  if (!s) return null;
+  return statusMap[s.toLowerCase()] || s.toUpperCase();
+}
 
-const embedCommand = new SlashCommandBuilder()
-  .setName('embed')
-  .setDescription('Send a custom embed via modal to a chosen channel.')
-  .addChannelOption((opt) =>
-    opt
-      .setName('channel')
-      .setDescription('Channel to send the embed to')
-      .addChannelTypes(ChannelType.GuildText)
-      .setRequired(true)
-  )
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+function parseStatusMap(csv) {
+  const map = {};
+  for (const pair of (csv || '').split(',')) {
+    const [from, to] = pair.split(':').map((x) => (x || '').trim());
+    if (from && to) map[from.toLowerCase()] = to.toUpperCase();
+  }
+  return map;
+}
 
-const embedSimpleCommand = new SlashCommandBuilder()
-  .setName('embed_simple')
-  .setDescription('Create a simple embed (one image + thumbnail) via modal.')
-  .addChannelOption((opt) =>
-    opt
-      .setName('channel')
-      .setDescription('Channel to send the embed to')
-      .addChannelTypes(ChannelType.GuildText)
-      .setRequired(true)
-  )
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+/**
+ * getJsonPath
+ * - Dot path lookup; `[]` flattens arrays, e.g. 'data.items[].product_id'.
+ * - Returns an array for paths containing `[]`, otherwise a single value.
+ */
+function getJsonPath(obj, pathStr) {
+  if (!pathStr) return undefined;
+  let current = [obj];
+
+  for (const part of pathStr.split('.')) {
+    const isArray = part.endsWith('[]');
+    const key = isArray ? part.slice(0, -2) : part;
+    const next = [];
+
+    for (const c of current) {
+      if (c === null || c === undefined) continue;
+      const v = key ? c[key] : c;
+      if (isArray) {
+        if (Array.isArray(v)) next.push(...v);
+      } else if (v !== undefined) {
+        next.push(v);
+      }
+    }
+    current = next;
+  }
 
-const editembedCommand = new SlashCommandBuilder()
-  .setName('editembed')
-  .setDescription('Edit an existing bot embed message (admin only).')
-  .addChannelOption((opt) =>
-    opt
-      .setName('channel')
-      .setDescription('Channel containing the message')
-      .addChannelTypes(ChannelType.GuildText)
-      .setRequired(true)
-  )
-  .addStringOption((opt) =>
-    opt.setName('message_id').setDescription('Message ID to edit').setRequired(true)
-  )
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+  return pathStr.includes('[]') ? current : current[0];
+}
 
-const verifyEmbCommand = new SlashCommandBuilder()
-  .setName('verifyemb')
-  .setDescription('Send the invoice verification embed to this channel (Admin only)')
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+const SELLAUTH_STATUS_MAP = {
+  completed: 'COMPLETED',
+  paid: 'PAID',
+  refunded: 'REFUNDED',
+  disputed: 'DISPUTED',
+  chargeback: 'DISPUTED',
+  reversed: 'REVERSED',
+};
+
+// Shoppy order states (used when an order carries one besides its paid_at / refunded_at timestamps)
+const SHOPPY_STATUS_MAP = {
+  completed: 'COMPLETED',
+  paid: 'PAID',
+  pending: 'PENDING',
+  refunded: 'REFUNDED',
+  chargeback: 'DISPUTED',
+  disputed: 'DISPUTED',
+};
+
+const PROVIDERS = {
+  sellapp: {
+    id: 'sellapp',
+    name: 'Sell.app',
+    isConfigured: () => !!SELLAPP_API_KEY,
+    async fetchInvoice(invoiceId) {
+      const base = trimBase(SELLAPP_API_BASE, 'https://sell.app/api/v2');
+      const resp = await axios.get(`${base}/invoices/${encodeURIComponent(invoiceId)}`, {
+        headers: { Authorization: `Bearer ${SELLAPP_API_KEY}` },
+        timeout: 10000,
+      });
+      return resp.data?.data ?? resp.data ?? null;
+    },
+    extractStatus: (invoice) => normalizeStatus(extractInvoiceStatus(invoice)),
+    extractProductIds,
+    extractEmail: extractInvoiceEmail,
+  },
+
+  sellauth: {
+    id: 'sellauth',
+    name: 'SellAuth',
+    isConfigured: () => !!(SELLAUTH_API_KEY && SELLAUTH_SHOP_ID),
+    async fetchInvoice(invoiceId) {
+      const base = trimBase(SELLAUTH_API_BASE, 'https://api.sellauth.com/v1');
+      const resp = await axios.get(
+        `${base}/shops/${encodeURIComponent(SELLAUTH_SHOP_ID)}/invoices/${encodeURIComponent(invoiceId)}`,
+        { headers: { Authorization: `Bearer ${SELLAUTH_API_KEY}` }, timeout: 10000 }
+      );
+      return resp.data?.data ?? resp.data ?? null;
+    },
+    extractStatus: (invoice) => normalizeStatus(invoice?.status, SELLAUTH_STATUS_MAP),
+    extractProductIds,
+    extractEmail: extractInvoiceEmail,
+  },
+
+  shoppy: {
+    id: 'shoppy',
+    name: 'Shoppy',
+    isConfigured: () => !!SHOPPY_API_KEY,
+    async fetchInvoice(invoiceId) {
+      const base = trimBase(SHOPPY_API_BASE, 'https://shoppy.gg/api/v1');
+      const resp = await axios.get(`${base}/orders/${encodeURIComponent(invoiceId)}`, {
+        headers: { Authorization: SHOPPY_API_KEY },
+        timeout: 10000,
+      });
+      return resp.data?.data ?? resp.data ?? null;
+    },
+    // Shoppy orders carry timestamps rather than a single status field
+    extractStatus(order) {
+      if (!order) return null;
+      if (order.refunded_at) return 'REFUNDED';
+      if (order.status) return normalizeStatus(order.status, SHOPPY_STATUS_MAP);
+      return order.paid_at ? 'PAID' : 'PENDING';
+    },
+    extractProductIds(order) {
+      if (!order) return [];
+      const ids = [order.product_id, order.product?.id].filter(Boolean).map(String);
+      return [...new Set(ids)];
+    },
+    extractEmail: extractInvoiceEmail,
+  },
+
+  generic: {
+    id: 'generic',
+    get name() {
+      return GENERIC_STORE_NAME && GENERIC_STORE_NAME.trim() ? GENERIC_STORE_NAME.trim() : 'Store';
+    },
+    isConfigured: () => !!(GENERIC_STORE_URL && GENERIC_STORE_URL.includes('{id}')),
+    async fetchInvoice(invoiceId) {
+      const headers = {};
+      if (GENERIC_STORE_AUTH_HEADER && GENERIC_STORE_AUTH_HEADER.includes(':')) {
+        const idx = GENERIC_STORE_AUTH_HEADER.indexOf(':');
+        headers[GENERIC_STORE_AUTH_HEADER.slice(0, idx).trim()] = GENERIC_STORE_AUTH_HEADER.slice(idx + 1).trim();
+      }
+      const url = GENERIC_STORE_URL.replace('{id}', encodeURIComponent(invoiceId));
+      const resp = await axios.get(url, { headers, timeout: 10000 });
+      return resp.data ?? null;
+    },
+    extractStatus: (body) =>
+      normalizeStatus(getJsonPath(body, GENERIC_STORE_STATUS_PATH || 'status'), parseStatusMap(GENERIC_STORE_STATUS_MAP)),
+    extractProductIds(body) {
+      const found = getJsonPath(body, GENERIC_STORE_PRODUCTS_PATH || 'items[].product_id');
+      const list = Array.isArray(found) ? found : found !== undefined && found !== null ? [found] : [];
+      return [...new Set(list.filter((x) => x !== null && x !== undefined && x !== '').map(String))];
+    },
+    extractEmail(body) {
+      const v = getJsonPath(body, GENERIC_STORE_EMAIL_PATH || 'email');
+      return typeof v === 'string' && v.trim() ? v.trim() : null;
+    },
+  },
+};
+
+// Records written by /verification grant are not backed by any storefront
+const MANUAL_PROVIDER_ID = 'manual';
+
+const DEFAULT_PROVIDER_ID = PROVIDERS[(VERIFY_PROVIDER || '').trim().toLowerCase()]
+  ? VERIFY_PROVIDER.trim().toLowerCase()
+  : 'sellapp';
+
+// fallbackId is the guild's default storefront (verify_provider setting)
+function getProvider(providerId, fallbackId = DEFAULT_PROVIDER_ID) {
+  return PROVIDERS[providerId] || PROVIDERS[fallbackId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
 
-const purgeCommand = new SlashCommandBuilder()
-  .setName('purge')
-  .setDescription('Delete messages in bulk (admin only).')
-  .addIntegerOption((opt) =>
-    opt
-      .setName('count')
-      .setDescription('Number of messages to delete (1-100)')
-      .setRequired(true)
-  )
+const PROVIDER_CHOICES = Object.values(PROVIDERS).map((p) => ({ name: p.id, value: p.id }));
+
+/**
+ * verifyProviderCandidates
+ * - Storefronts an invoice from an unpinned panel is looked up in: the guild's default first, then
+ *   every other storefront the guild's role mappings are set for. Unconfigured ones are left out.
+ */
+async function verifyProviderCandidates(guildId, defaultProvider) {
+  const rows = await dbAll(`SELECT DISTINCT provider FROM role_mappings WHERE guild_id = ? AND provider IS NOT NULL`, [
+    String(guildId),
+  ]);
+  const providers = new Set([defaultProvider, ...rows.map((r) => PROVIDERS[r.provider]).filter(Boolean)]);
+  return [...providers].filter((p) => p.isConfigured());
+}
+
+// --------------------
+// Per-guild settings (guild_settings table, managed with /config)
+// Env values are first-run defaults: they are seeded for every guild the bot joins and
+// used whenever a guild has no stored value. Handlers read getGuildSettings(guild.id).
+// --------------------
+
+const ACTIVITY_MODES = ['playing', 'streaming', 'listening', 'watching', 'competing'];
+const PRESENCE_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+function parseHexColor(value) {
+  const m = String(value || '').trim().match(/^(?:#|0x)?([0-9a-f]{6})$/i);
+  return m ? parseInt(m[1], 16) : null;
+}
+
+function extractSnowflake(value) {
+  const m = String(value || '').trim().match(/^(?:<[@#][&!]?)?(\d{17,20})>?$/);
+  return m ? m[1] : null;
+}
+
+/**
+ * GUILD_SETTINGS
+ * - type: update_targets | channel | role | choice | color | text | url | duration | warn_ladder
+ * - envDefault: raw env value (first-run default); fallback when env is unset or invalid.
+ * - Presence settings are bot-wide in Discord; the primary guild's values are applied.
+ */
+const GUILD_SETTINGS = {
+  updates_channels: { type: 'update_targets', label: 'Updates channels', envDefault: UPDATES_CHANNEL_IDS, fallback: '' },
+  verify_role: { type: 'role', label: 'Fallback verified role', envDefault: VERIFY_ROLE_ID, fallback: '' },
+  staff_channel: { type: 'channel', label: 'Staff alerts channel', envDefault: STAFF_CHANNEL_ID, fallback: '' },
+  verify_log_channel: { type: 'channel', label: 'Verification log channel', envDefault: VERIFY_LOG_CHANNEL_ID, fallback: '' },
+  mod_log_channel: { type: 'channel', label: 'Moderation log channel', envDefault: MOD_LOG_CHANNEL_ID, fallback: '' },
+  warn_expiry: { type: 'duration', label: 'Warning expiry ("none" = never)', envDefault: WARN_EXPIRY, fallback: '2592000' },
+  warn_escalation: {
+    type: 'warn_ladder',
+    label: 'Warning escalation (3:timeout:1h, 5:ban)',
+    envDefault: WARN_ESCALATION,
+    fallback: '3:timeout:1h,5:ban',
+  },
+  verify_provider: {
+    type: 'choice',
+    label: 'Default storefront',
+    choices: Object.keys(PROVIDERS),
+    envDefault: VERIFY_PROVIDER,
+    fallback: 'sellapp',
+  },
+  email_mode: {
+    type: 'choice',
+    label: 'Purchase email check',
+    choices: ['off', 'optional', 'required'],
+    envDefault: VERIFY_EMAIL_MODE,
+    fallback: 'off',
+  },
+  embed_color: { type: 'color', label: 'Embed colour', envDefault: EMBED_COLOR_HEX, fallback: '#3336fc' },
+  brand_name: { type: 'text', label: 'Brand name (updates footer line)', envDefault: BRAND_NAME, fallback: 'ICE' },
+  store_url: { type: 'url', label: 'Store URL', envDefault: STORE_URL, fallback: 'https://ice.sell.app/' },
+  activity_mode: { type: 'choice', label: 'Activity type', choices: ACTIVITY_MODES, envDefault: ACTIVITY_MODE, fallback: 'watching' },
+  activity_name: { type: 'text', label: 'Activity text', envDefault: ACTIVITY_NAME, fallback: 'ICE R6S' },
+  stream_url: { type: 'url', label: 'Stream URL', envDefault: STREAM_URL, fallback: '' },
+  status: { type: 'choice', label: 'Online status', choices: PRESENCE_STATUSES, envDefault: STATUS, fallback: 'online' },
+  session_style: {
+    type: 'choice',
+    label: 'Session emoji',
+    choices: ['none', 'mobile', 'desktop'],
+    envDefault: SESSION_STYLE,
+    fallback: 'none',
+  },
+};
+
+const PRESENCE_SETTING_KEYS = ['activity_mode', 'activity_name', 'stream_url', 'status', 'session_style'];
+
+/**
+ * normalizeSettingValue
+ * - Validates a raw value for a setting and returns its canonical stored form,
+ *   or null when invalid. '' (or "none") clears optional settings.
+ * - guild (optional) lets channel/role settings check the IDs exist.
+ */
+function normalizeSettingValue(key, raw, guild = null) {
+  const def = GUILD_SETTINGS[key];
+  if (!def) return null;
+
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  const cleared = text === '' || text.toLowerCase() === 'none';
+
+  switch (def.type) {
+    case 'update_targets': {
+      // "channel [mention], ..." where mention is everyone (default), none or a role
+      if (cleared) return '';
+      const targets = new Map();
+      for (const entry of text.split(',').map((e) => e.trim()).filter(Boolean)) {
+        const [channelToken, mentionToken = 'everyone', ...extra] = entry.split(/[\s:]+/);
+        const channelId = extractSnowflake(channelToken);
+        if (!channelId || extra.length > 0) return null;
+        if (guild && !guild.channels.cache.has(channelId)) return null;
+
+        const m = mentionToken.replace(/^@/, '').toLowerCase();
+        const mention = m === 'everyone' || m === 'none' ? m : extractSnowflake(mentionToken);
+        if (!mention) return null;
+        if (guild && mention !== 'everyone' && mention !== 'none' && !guild.roles.cache.has(mention)) return null;
+
+        targets.set(channelId, mention);
+      }
+      return [...targets].map(([channelId, mention]) => `${channelId}:${mention}`).join(',');
+    }
+    case 'channel':
+    case 'role': {
+      if (cleared) return '';
+      const id = extractSnowflake(text);
+      if (!id) return null;
+      if (guild && !(def.type === 'role' ? guild.roles.cache.has(id) : guild.channels.cache.has(id))) return null;
+      return id;
+    }
+    case 'choice':
+      return def.choices.includes(text.toLowerCase()) ? text.toLowerCase() : null;
+    case 'color': {
+      const n = parseHexColor(text);
+      return n === null ? null : `#${n.toString(16).padStart(6, '0')}`;
+    }
+    case 'url':
+      if (cleared) return '';
+      return looksLikeUrl(text) ? text : null;
+    case 'duration': {
+      if (cleared) return '';
+      const seconds = parseDuration(text);
+      return seconds ? String(seconds) : null;
+    }
+    case 'warn_ladder': {
+      // "<warnings>:timeout:<duration>" or "<warnings>:ban", comma-separated; stored sorted by count
+      if (cleared) return '';
+      const steps = new Map();
+      for (const entry of text.split(',').map((e) => e.trim()).filter(Boolean)) {
+        const [countToken, actionToken = '', durationToken, ...extra] = entry.split(/\s*:\s*/);
+        const count = /^\d+$/.test(countToken) ? parseInt(countToken, 10) : 0;
+        const action = actionToken.toLowerCase();
+        if (count < 1 || count > 100 || extra.length > 0) return null;
+
+        if (action === 'ban' && !durationToken) {
+          steps.set(count, 'ban');
+        } else if (action === 'timeout') {
+          const seconds = parseDuration(durationToken);
+          if (!seconds || seconds > MAX_TIMEOUT_SECONDS) return null;
+          steps.set(count, `timeout:${formatDuration(seconds).replace(/ /g, '')}`);
+        } else {
+          return null;
+        }
+      }
+      if (steps.size === 0) return null;
+      return [...steps]
+        .sort((a, b) => a[0] - b[0])
+        .map(([count, step]) => `${count}:${step}`)
+        .join(',');
+    }
+    default:
+      return cleared ? null : text.slice(0, 100);
+  }
+}
+
+// Env value if valid, otherwise the built-in fallback
+function defaultSettingValue(key) {
+  const def = GUILD_SETTINGS[key];
+  const fromEnv = def.envDefault && def.envDefault.trim() ? normalizeSettingValue(key, def.envDefault) : null;
+  return fromEnv !== null ? fromEnv : def.fallback;
+}
+
+// Stored (string) value -> what handlers use
+function parseSettingValue(key, stored) {
+  switch (GUILD_SETTINGS[key].type) {
+    case 'update_targets':
+      return stored
+        ? stored.split(',').map((t) => {
+            const [channelId, mention] = t.split(':');
+            return { channelId, mention: mention || 'everyone' };
+          })
+        : [];
+    case 'color':
+      return parseHexColor(stored) ?? EMBED_COLOR;
+    case 'duration':
+      return stored ? parseInt(stored, 10) : null;
+    case 'warn_ladder':
+      return stored
+        ? stored.split(',').map((t) => {
+            const [count, action, duration] = t.split(':');
+            return { count: parseInt(count, 10), action, seconds: action === 'timeout' ? parseDuration(duration) : null };
+          })
+        : [];
+    default:
+      return stored || null;
+  }
+}
+
+const guildSettingsCache = new Map();
+
+/**
+ * getGuildSettings
+ * - Every GUILD_SETTINGS key for a guild (stored value, else env default), parsed.
+ * - Cached until /config changes the guild; a missing guild gets the env defaults.
+ */
+async function getGuildSettings(guildId) {
+  if (guildId && guildSettingsCache.has(guildId)) return guildSettingsCache.get(guildId);
+
+  const rows = guildId
+    ? await dbAll(`SELECT key, value FROM guild_settings WHERE guild_id = ?`, [String(guildId)]).catch((err) => {
+        logError('Failed to load guild settings', err);
+        return [];
+      })
+    : [];
+  const stored = new Map(rows.map((r) => [r.key, r.value]));
+
+  const settings = {};
+  for (const key of Object.keys(GUILD_SETTINGS)) {
+    settings[key] = parseSettingValue(key, stored.has(key) ? stored.get(key) : defaultSettingValue(key));
+  }
+
+  if (guildId) guildSettingsCache.set(guildId, settings);
+  return settings;
+}
+
+// First run in a guild: copy env values into guild_settings so later env edits don't move them
+async function seedGuildSettings(guildId) {
+  for (const key of Object.keys(GUILD_SETTINGS)) {
+    const def = GUILD_SETTINGS[key];
+    if (!def.envDefault || !def.envDefault.trim()) continue;
+
+    const value = normalizeSettingValue(key, def.envDefault);
+    if (value === null) continue;
+
+    await dbRun(`INSERT OR IGNORE INTO guild_settings (guild_id, key, value) VALUES (?, ?, ?)`, [
+      String(guildId),
+      key,
+      value,
+    ]).catch((err) => logError(`Failed to seed setting ${key} for guild ${guildId}`, err));
+  }
+  guildSettingsCache.delete(String(guildId));
+}
+
+async function setGuildSetting(guildId, key, value, actorId) {
+  await dbRun(
+    `
+      INSERT INTO guild_settings (guild_id, key, value, updated_by) VALUES (?, ?, ?, ?)
+      ON CONFLICT(guild_id, key) DO UPDATE SET
+        value = excluded.value,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    [String(guildId), key, value, actorId ? String(actorId) : null]
+  );
+  guildSettingsCache.delete(String(guildId));
+}
+
+// Back to the env default (or all settings when key is null)
+async function resetGuildSetting(guildId, key = null) {
+  if (key) {
+    await dbRun(`DELETE FROM guild_settings WHERE guild_id = ? AND key = ?`, [String(guildId), key]);
+  } else {
+    await dbRun(`DELETE FROM guild_settings WHERE guild_id = ?`, [String(guildId)]);
+  }
+  guildSettingsCache.delete(String(guildId));
+}
+
+function formatSettingValue(key, value) {
+  const def = GUILD_SETTINGS[key];
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '_not set_';
+
+  switch (def.type) {
+    case 'update_targets':
+      return value
+        .map((t) => `<#${t.channelId}> (${t.mention === 'everyone' || t.mention === 'none' ? t.mention : `<@&${t.mention}>`})`)
+        .join(', ');
+    case 'channel':
+      return `<#${value}>`;
+    case 'role':
+      return `<@&${value}>`;
+    case 'color':
+      return `\`#${value.toString(16).padStart(6, '0')}\``;
+    case 'duration':
+      return `\`${formatDuration(value)}\``;
+    case 'warn_ladder':
+      return value.map(formatWarnStep).join(', ');
+    default:
+      return `\`${value}\``;
+  }
+}
+
+const SETTING_CHOICES = Object.entries(GUILD_SETTINGS).map(([key, def]) => ({ name: `${key} — ${def.label}`.slice(0, 100), value: key }));
+
+/**
+ * resolveMappingForProduct
+ * - { roleId, durationSeconds } from the guild's role_mappings, falling back to the guild's
+ *   verify_role setting (permanent). roleId is null if neither exists.
+ * - providerId: storefront of the invoice; only mappings for that storefront or for any storefront
+ *   apply, the storefront's own winning. null matches every mapping.
+ */
+async function resolveMappingForProduct(guildId, productId, fallbackRoleId = null, providerId = null) {
+  if (productId) {
+    try {
+      const mapRow = await dbGet(
+        `
+          SELECT role_id, duration_seconds FROM role_mappings
+          WHERE guild_id = ? AND product_id = ? AND (provider IS NULL OR ? IS NULL OR provider = ?)
+          ORDER BY provider IS NULL
+          LIMIT 1
+        `,
+        [String(guildId), String(productId), providerId, providerId]
+      );
+      if (mapRow && mapRow.role_id) {
+        return { roleId: mapRow.role_id, durationSeconds: mapRow.duration_seconds || null };
+      }
+    } catch (mapErr) {
+      logError('DB error fetching role mapping', mapErr);
+    }
+  }
+
+  return { roleId: fallbackRoleId || null, durationSeconds: null };
+}
+
+/**
+ * resolveGrantsForProducts
+ * - One { productId, roleId, durationSeconds } entry per product that resolves to a role.
+ * - No products at all -> a single fallback pair (productId null) if fallbackRoleId is set.
+ */
+async function resolveGrantsForProducts(guildId, productIds, fallbackRoleId = null, providerId = null) {
+  if (!productIds || productIds.length === 0) {
+    return fallbackRoleId ? [{ productId: null, roleId: String(fallbackRoleId), durationSeconds: null }] : [];
+  }
+
+  const grants = [];
+  for (const productId of productIds) {
+    const { roleId, durationSeconds } = await resolveMappingForProduct(guildId, productId, fallbackRoleId, providerId);
+    if (roleId) grants.push({ productId, roleId: String(roleId), durationSeconds });
+  }
+  return grants;
+}
+
+/**
+ * assignRoleAndPersist
+ * - Stores one verification row per product-role pair (single statement, all or nothing),
+ *   then adds every distinct role to the guild member in one call.
+ * - Grants with durationSeconds get an expires_at; the subscription job removes them later.
+ * - provider is the storefront the invoice came from (see PROVIDERS, or 'manual').
+ * - Returns { ok, code, roleIds, assigned, failed, expiresAt } where code is one of:
+ *   OK, PARTIAL, DUPLICATE, DB_ERROR, NO_MEMBER, NO_MANAGE_ROLES, ROLE_NOT_FOUND,
+ *   ROLE_TOO_HIGH, ASSIGN_FAILED.
+ * - Rows are kept even when a role could not be added, so staff can fix it later.
+ */
+async function assignRoleAndPersist({ guild, discordId, invoiceId, grants, status, reason, provider = DEFAULT_PROVIDER_ID }) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const pairs = grants.map((g) => ({
+    productId: g.productId ?? null,
+    roleId: String(g.roleId),
+    expiresAt: g.durationSeconds ? nowSec + g.durationSeconds : null,
+  }));
+  const roleIds = [...new Set(pairs.map((p) => p.roleId))];
+  const expiries = pairs.map((p) => p.expiresAt).filter(Boolean);
+  const base = { roleIds, assigned: [], failed: [], expiresAt: expiries.length ? Math.min(...expiries) : null };
+
+  try {
+    const values = pairs.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    await dbRun(
+      `
+        INSERT INTO verifications
+          (guild_id, provider, invoice_id, discord_id, product_id, role_id, status, expires_at)
+        VALUES ${values}
+      `,
+      pairs.flatMap((p) => [
+        guild.id,
+        provider,
+        invoiceId,
+        String(discordId),
+        p.productId,
+        p.roleId,
+        status,
+        p.expiresAt ? unixToSqliteTime(p.expiresAt) : null,
+      ])
+    );
+  } catch (dbErr) {
+    if (dbErr.code === 'SQLITE_CONSTRAINT') return { ...base, ok: false, code: 'DUPLICATE' };
+
+    logError('DB insert error for verification', dbErr);
+    return { ...base, ok: false, code: 'DB_ERROR' };
+  }
+
+  try {
+    const member = await guild.members.fetch(String(discordId)).catch(() => null);
+    if (!member) return { ...base, ok: false, code: 'NO_MEMBER' };
+
+    const me = guild.members.me;
+    if (!me || !me.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+      return { ...base, ok: false, code: 'NO_MANAGE_ROLES' };
+    }
+
+    const toAdd = [];
+    const failed = [];
+    for (const roleIdStr of roleIds) {
+      const role =
+        guild.roles.cache.get(roleIdStr) ||
+        (await guild.roles.fetch(roleIdStr).catch(() => null));
+
+      if (!role) failed.push({ roleId: roleIdStr, code: 'ROLE_NOT_FOUND' });
+      else if (me.roles.highest.position <= role.position) failed.push({ roleId: roleIdStr, code: 'ROLE_TOO_HIGH' });
+      else toAdd.push(role);
+    }
+
+    if (toAdd.length > 0) {
+      await member.roles.add(toAdd, reason || `Verified invoice ${invoiceId}`);
+    }
+
+    const assigned = toAdd.map((r) => r.id);
+    if (failed.length === 0) return { ...base, assigned, failed, ok: true, code: 'OK' };
+    return { ...base, assigned, failed, ok: false, code: assigned.length > 0 ? 'PARTIAL' : failed[0].code };
+  } catch (assignErr) {
+    logError('Failed to assign role after verification', assignErr);
+    return { ...base, ok: false, code: 'ASSIGN_FAILED' };
+  }
+}
+
+// User-facing reply text for an assignRoleAndPersist result
+function assignResultMessage(result, { invoiceId, status }) {
+  const mentions = (ids) => ids.map((r) => `<@&${r}>`).join(', ');
+
+  const expiry = result.expiresAt ? ` Access expires <t:${result.expiresAt}:R>.` : '';
+
+  switch (result.code) {
+    case 'OK':
+      return `✅ Invoice verified! Status: ${status}. ${
+        result.assigned.length === 1 ? 'Role' : 'Roles'
+      } ${mentions(result.assigned)} assigned.${expiry}`;
+    case 'PARTIAL':
+      return `✅ Invoice verified! Status: ${status}. Assigned ${mentions(result.assigned)}, but ${mentions(
+        result.failed.map((f) => f.roleId)
+      )} could not be assigned. Contact staff.`;
+    case 'DUPLICATE':
+      return `❌ Invoice ID ${invoiceId} was just used by another account.`;
+    case 'DB_ERROR':
+      return '❌ Internal error while saving verification.';
+    case 'NO_MEMBER':
+      return '✅ Invoice verified but could not find your guild member to assign role. Contact staff.';
+    case 'NO_MANAGE_ROLES':
+      return '✅ Invoice verified but bot lacks Manage Roles to assign role. Contact staff.';
+    case 'ROLE_NOT_FOUND':
+      return '✅ Invoice verified but configured role not found in this server. Contact staff.';
+    case 'ROLE_TOO_HIGH':
+      return '✅ Invoice verified but bot role is not high enough to assign the verification role. Contact staff.';
+    default:
+      return '✅ Invoice verified but failed to assign role. Contact staff.';
+  }
+}
+
+/**
+ * removeRoleUnlessStillGranted
+ * - Removes a verified role from a member unless another active, unexpired verification row
+ *   of the same member (any row but excludeIds, even one on the same invoice) still grants it.
+ * - Returns { removed, reason }.
+ */
+async function removeRoleUnlessStillGranted({ guild, discordId, roleId, excludeIds = [], reason }) {
+  if (!roleId || !guild) return { removed: false, reason: 'no role or guild' };
+
+  const placeholders = INACTIVE_VERIFICATION_STATUSES.map(() => '?').join(', ');
+  const excluded = excludeIds.length ? `AND id NOT IN (${excludeIds.map(() => '?').join(', ')})` : '';
+  const stillGranted = await dbGet(
+    `
+      SELECT id FROM verifications
+      WHERE discord_id = ? AND role_id = ? ${excluded}
+        AND UPPER(status) NOT IN (${placeholders})
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      LIMIT 1
+    `,
+    [String(discordId), String(roleId), ...excludeIds, ...INACTIVE_VERIFICATION_STATUSES]
+  );
+  if (stillGranted) return { removed: false, reason: 'role still granted by another verification' };
+
+  const member = await guild.members.fetch(String(discordId)).catch(() => null);
+  if (!member) return { removed: false, reason: 'member not in server' };
+  if (!member.roles.cache.has(String(roleId))) return { removed: false, reason: 'member does not have the role' };
+
+  const check = await checkAssignableRole(guild, roleId);
+  if (!check.ok) return { removed: false, reason: check.reason };
+
+  try {
+    await member.roles.remove(check.role, reason);
+    return { removed: true, reason: null };
+  } catch (remErr) {
+    logError(`Failed to remove role ${roleId} from ${discordId}`, remErr);
+    return { removed: false, reason: 'remove failed' };
+  }
+}
+
+/**
+ * revokeInvoiceRoles
+ * - Sets the new (inactive) status on every verification row of an invoice and
+ *   removes the role from the member, unless another active verification of the
+ *   same member still grants that role.
+ * - provider limits the revoke to one storefront's invoice (staff commands leave it out).
+ * - Roles are removed in the server each row belongs to; guild is only used for rows without one.
+ * - Returns [{ guildId, discordId, roleId, removed, reason }] for logging/summaries.
+ */
+async function revokeInvoiceRoles({ guild = null, invoiceId, status, reason, provider = null }) {
+  const where = provider ? `invoice_id = ? AND IFNULL(provider, 'sellapp') = ?` : 'invoice_id = ?';
+  const params = provider ? [invoiceId, provider] : [invoiceId];
+
+  const rows = await dbAll(`SELECT DISTINCT guild_id, discord_id, role_id FROM verifications WHERE ${where}`, params);
+
+  await dbRun(`UPDATE verifications SET status = ? WHERE ${where}`, [status, ...params]);
+
+  const results = [];
+  for (const row of rows) {
+    const rowGuild = row.guild_id ? guildForRow(row) : guild;
+    const outcome = await removeRoleUnlessStillGranted({
+      guild: rowGuild,
+      discordId: row.discord_id,
+      roleId: row.role_id,
+      reason: reason || `Invoice ${invoiceId} ${status}`,
+    });
+    results.push({ guildId: rowGuild ? rowGuild.id : row.guild_id, discordId: row.discord_id, roleId: row.role_id, ...outcome });
+  }
+
+  return results;
+}
+
+// Staff actions on verifications (manual grant, revoke, transfer) for auditing
+function recordVerificationAction({ action, invoiceId, discordId = null, targetId = null, roleId = null, actorId, reason }) {
+  return dbRun(
+    `
+      INSERT INTO verification_actions
+        (action, invoice_id, discord_id, target_id, role_id, actor_id, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [action, invoiceId, discordId, targetId, roleId, String(actorId), reason]
+  ).catch((err) => logError('Failed to record verification action', err));
+}
+
+function formatVerificationAction(a) {
+  const ts = sqliteTimeToUnix(a.created_at);
+  const who = a.target_id ? `<@${a.discord_id}> → <@${a.target_id}>` : a.discord_id ? `<@${a.discord_id}>` : '';
+  return [
+    `**${a.action}**`,
+    `\`${a.invoice_id}\``,
+    who,
+    a.role_id ? `<@&${a.role_id}>` : '',
+    `by <@${a.actor_id}>`,
+    ts ? `<t:${ts}:f>` : '',
+  ]
+    .filter(Boolean)
+    .join(' · ') + `\n> ${a.reason}`;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC 'YYYY-MM-DD HH:MM:SS'
+function sqliteTimeToUnix(value) {
+  if (!value) return null;
+  const ms = Date.parse(`${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+function unixToSqliteTime(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * parseDuration
+ * - '30m', '12h', '7d', '2w' or combinations like '1d12h' -> seconds.
+ * - Returns null for anything else.
+ */
+function parseDuration(input) {
+  if (!input) return null;
+  const text = String(input).trim().toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[mhdw])+$/.test(text)) return null;
+
+  let total = 0;
+  for (const [, n, unit] of text.matchAll(/(\d+)([mhdw])/g)) {
+    total += parseInt(n, 10) * DURATION_UNITS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return 'permanent';
+  const parts = [];
+  let rest = seconds;
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.join(' ') || `${seconds}s`;
+}
+
+// Milliseconds a zone is ahead of UTC at the given instant ('UTC', '+02:00' or an IANA name).
+// Zones Intl does not know (e.g. from an old or mangled stored value) count as UTC.
+function zoneOffsetMs(ms, zone) {
+  if (!zone || zone === 'UTC') return 0;
+
+  const fixed = zone.match(/^([+-])(\d{2}):(\d{2})$/);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2], 10) * 60 + parseInt(fixed[3], 10)) * 60_000;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(ms));
+  } catch (e) {
+    return 0;
+  }
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// 'utc', 'z', 'utc+2', '+0530', '-05:00', 'Europe/Berlin' -> canonical zone, or null
+function normalizeTimeZone(input) {
+  const t = String(input || 'UTC').trim();
+  if (/^(utc|gmt|z)$/i.test(t)) return 'UTC';
+
+  const off = t.match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (off) {
+    const h = parseInt(off[2], 10);
+    const m = off[3] ? parseInt(off[3], 10) : 0;
+    if (h > 14 || m > 59) return null;
+    return `${off[1]}${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: t }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * parseScheduleTime
+ * - 'YYYY-MM-DD HH:MM [zone]' -> { postAt (unix seconds), timeZone } or { error }.
+ * - zone is UTC (default), an offset like +02:00 / UTC-5, or an IANA name like Europe/Berlin.
+ */
+function parseScheduleTime(input) {
+  const m = String(input || '')
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?:\s+(.+))?$/);
+  if (!m) return { error: 'Use `YYYY-MM-DD HH:MM` followed by a timezone, e.g. `2026-05-01 18:00 Europe/Berlin`.' };
+
+  const timeZone = normalizeTimeZone(m[6]);
+  if (!timeZone) return { error: `Unknown timezone \`${m[6]}\`. Use e.g. \`UTC\`, \`+02:00\` or \`Europe/Berlin\`.` };
+
+  const [y, mo, d, h, mi] = m.slice(1, 6).map((n) => parseInt(n, 10));
+  const wallClock = Date.UTC(y, mo - 1, d, h, mi);
+  const check = new Date(wallClock);
+  if (h > 23 || check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return { error: 'That date/time does not exist.' };
+
+  // Two passes so times next to a DST change resolve to the right offset
+  let ms = wallClock - zoneOffsetMs(wallClock, timeZone);
+  ms = wallClock - zoneOffsetMs(ms, timeZone);
+
+  return { postAt: Math.floor(ms / 1000), timeZone };
+}
+
+// Inverse of parseScheduleTime, used to pre-fill edit forms
+function formatScheduleTime(unixSeconds, timeZone = 'UTC') {
+  const zone = normalizeTimeZone(timeZone) || 'UTC';
+  const local = new Date(unixSeconds * 1000 + zoneOffsetMs(unixSeconds * 1000, zone));
+  return `${local.toISOString().slice(0, 16).replace('T', ' ')} ${zone}`;
+}
+
+// One line per verification row for staff-facing embeds
+function formatVerificationRow(row, { showUser = true, showInvoice = true } = {}) {
+  const parts = [];
+  if (showInvoice) parts.push(`\`${row.invoice_id}\``);
+  if (showUser) parts.push(`<@${row.discord_id}>`);
+  parts.push(row.product_id ? `product \`${row.product_id}\`` : 'no product');
+  parts.push(row.role_id ? `<@&${row.role_id}>` : 'no role');
+  parts.push(`**${String(row.status).toUpperCase()}**`);
+  if (row.provider) parts.push(PROVIDERS[row.provider]?.name || row.provider);
+
+  const ts = sqliteTimeToUnix(row.used_at);
+  if (ts) parts.push(`<t:${ts}:f>`);
+
+  const exp = sqliteTimeToUnix(row.expires_at);
+  if (exp) parts.push(`${exp * 1000 > Date.now() ? 'expires' : 'expired'} <t:${exp}:R>`);
+
+  return parts.join(' · ');
+}
+
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildModeration, // ban removals, to close temporary bans lifted in Discord
+  ],
+  partials: [Partials.GuildMember],
+});
+
+// --------------------
+// Slash commands setup
+// All commands are registered with default_member_permissions = Administrator and DM disabled
+// --------------------
+
+const baseAdminPerm = PermissionsBitField.Flags.Administrator;
+
+// Shared by /embed, /embed_simple and /updates
+const scheduleOption = (opt) =>
+  opt
+    .setName('schedule')
+    .setDescription('Post later: YYYY-MM-DD HH:MM and a timezone, e.g. 2026-05-01 18:00 Europe/Berlin')
+    .setRequired(false);
+
+// Upload alternative to an image URL field; the modal field left blank uses the file
+const imageFileOption = (name, description) => (opt) =>
+  opt.setName(name).setDescription(description).setRequired(false);
+
+const updatesCommand = new SlashCommandBuilder()
+  .setName('updates')
+  .setDescription('Post an update (modal, sends to every configured updates channel).')
+  .addStringOption(scheduleOption)
+  .addAttachmentOption(imageFileOption('image_file_1', 'Upload for image 1 (leave the URL field blank)'))
+  .addAttachmentOption(imageFileOption('image_file_2', 'Upload for image 2 / thumbnail (leave the URL field blank)'))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const embedCommand = new SlashCommandBuilder()
+  .setName('embed')
+  .setDescription('Send a custom embed via modal to a chosen channel.')
+  .addChannelOption((opt) =>
+    opt
+      .setName('channel')
+      .setDescription('Channel to send the embed to')
+      .addChannelTypes(ChannelType.GuildText)
+      .setRequired(true)
+  )
+  .addStringOption(scheduleOption)
+  .addStringOption((opt) =>
+    opt.setName('template').setDescription('Saved template to pre-fill the modal with').setRequired(false).setAutocomplete(true)
+  )
+  .addAttachmentOption(imageFileOption('image_file_1', 'Upload for image 1 (leave the URL field blank)'))
+  .addAttachmentOption(imageFileOption('image_file_2', 'Upload for image 2 (leave the URL field blank)'))
+  .addAttachmentOption(imageFileOption('image_file_3', 'Upload for image 3 (leave the URL field blank)'))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const embedSimpleCommand = new SlashCommandBuilder()
+  .setName('embed_simple')
+  .setDescription('Create a simple embed (one image + thumbnail) via modal.')
+  .addChannelOption((opt) =>
+    opt
+      .setName('channel')
+      .setDescription('Channel to send the embed to')
+      .addChannelTypes(ChannelType.GuildText)
+      .setRequired(true)
+  )
+  .addStringOption(scheduleOption)
+  .addAttachmentOption(imageFileOption('image_file', 'Upload for the image (leave the URL field blank)'))
+  .addAttachmentOption(imageFileOption('thumbnail_file', 'Upload for the thumbnail (leave the URL field blank)'))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const editembedCommand = new SlashCommandBuilder()
+  .setName('editembed')
+  .setDescription('Edit an existing bot embed message (admin only).')
+  .addChannelOption((opt) =>
+    opt
+      .setName('channel')
+      .setDescription('Channel containing the message')
+      .addChannelTypes(ChannelType.GuildText)
+      .setRequired(true)
+  )
+  .addStringOption((opt) =>
+    opt.setName('message_id').setDescription('Message ID to edit').setRequired(true)
+  )
+  .addAttachmentOption(imageFileOption('image_file_1', 'Replace image 1 with an upload'))
+  .addAttachmentOption(imageFileOption('image_file_2', 'Replace image 2 with an upload'))
+  .addAttachmentOption(imageFileOption('image_file_3', 'Replace image 3 with an upload'))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const verifyEmbCommand = new SlashCommandBuilder()
+  .setName('verifyemb')
+  .setDescription('Send the invoice verification embed to this channel (Admin only)')
+  .addStringOption((opt) =>
+    opt
+      .setName('provider')
+      .setDescription('Storefront that invoices from this panel are checked against (default: VERIFY_PROVIDER)')
+      .setRequired(false)
+      .addChoices(...PROVIDER_CHOICES)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const purgeCommand = new SlashCommandBuilder()
+  .setName('purge')
+  .setDescription('Delete messages in bulk (admin only).')
+  .addIntegerOption((opt) =>
+    opt
+      .setName('count')
+      .setDescription('Number of messages to delete (1-100)')
+      .setRequired(true)
+  )
   .addChannelOption((opt) =>
     opt
       .setName('channel')
@@ -384,6 +1906,9 @@ const purgeCommand = new SlashCommandBuilder()
       .addChannelTypes(ChannelType.GuildText)
       .setRequired(false)
   )
+  .addStringOption((opt) =>
+    opt.setName('reason').setDescription('Reason for the purge (saved to the case)').setRequired(false)
+  )
   .setDefaultMemberPermissions(baseAdminPerm)
   .setDMPermission(false);
 
@@ -411,6 +1936,9 @@ const untimeoutCommand = new SlashCommandBuilder()
   .addUserOption((opt) =>
     opt.setName('user').setDescription('User to remove timeout').setRequired(true)
   )
+  .addStringOption((opt) =>
+    opt.setName('reason').setDescription('Reason for removing the timeout').setRequired(false)
+  )
   .setDefaultMemberPermissions(baseAdminPerm)
   .setDMPermission(false);
 
@@ -429,8 +1957,14 @@ const banCommand = new SlashCommandBuilder()
       .setDescription('Delete message history in days (0-7)')
       .setRequired(false)
   )
-  .setDefaultMemberPermissions(baseAdminPerm)
-  .setDMPermission(false);
+  .addStringOption((opt) =>
+    opt
+      .setName('duration')
+      .setDescription('Temporary ban length, e.g. 12h, 3d or 2w (permanent if omitted)')
+      .setRequired(false)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
 
 const unbanCommand = new SlashCommandBuilder()
   .setName('unban')
@@ -444,6 +1978,443 @@ const unbanCommand = new SlashCommandBuilder()
   .setDefaultMemberPermissions(baseAdminPerm)
   .setDMPermission(false);
 
+const rolemapCommand = new SlashCommandBuilder()
+  .setName('rolemap')
+  .setDescription('Map Sell.app product IDs to Discord roles (admin only).')
+  .addSubcommand((sub) =>
+    sub
+      .setName('add')
+      .setDescription('Map a product ID to a role (replaces an existing mapping).')
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Sell.app product ID').setRequired(true)
+      )
+      .addRoleOption((opt) =>
+        opt.setName('role').setDescription('Role to assign for this product').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('duration')
+          .setDescription('Licence length, e.g. 1d, 7d, 30d (omit for a permanent role)')
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('provider')
+          .setDescription('Storefront the product is sold on (omit to apply to every storefront)')
+          .setRequired(false)
+          .addChoices(...PROVIDER_CHOICES)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('remove')
+      .setDescription('Remove the mapping for a product ID.')
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Sell.app product ID').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('provider')
+          .setDescription('Only remove the mapping for this storefront (default: all of them)')
+          .setRequired(false)
+          .addChoices(...PROVIDER_CHOICES)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('list').setDescription('List all product → role mappings.')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('test')
+      .setDescription('Show which role a product ID would receive.')
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Sell.app product ID').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('provider')
+          .setDescription('Storefront the invoice would come from (default: any)')
+          .setRequired(false)
+          .addChoices(...PROVIDER_CHOICES)
+      )
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const verificationCommand = new SlashCommandBuilder()
+  .setName('verification')
+  .setDescription('Look up and audit invoice verifications (admin only).')
+  .addSubcommand((sub) =>
+    sub
+      .setName('lookup')
+      .setDescription('Find who owns an invoice, or list a user\'s full verification history.')
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID to look up').setRequired(false)
+      )
+      .addUserOption((opt) =>
+        opt.setName('user').setDescription('User whose history to list').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('grant')
+      .setDescription('Manually verify a user: store an invoice record and assign its role.')
+      .addUserOption((opt) => opt.setName('user').setDescription('User to verify').setRequired(true))
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID from the proof of purchase').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('reason').setDescription('Why this is being granted by hand').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Product ID (used to resolve the role)').setRequired(false)
+      )
+      .addRoleOption((opt) =>
+        opt.setName('role').setDescription('Role to assign (defaults to the product mapping)').setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('provider')
+          .setDescription('Storefront the invoice is from; set it to have the invoice re-checked (default: manual)')
+          .setRequired(false)
+          .addChoices(...PROVIDER_CHOICES)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('revoke')
+      .setDescription('Revoke a verification: free the invoice and remove its role.')
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID to revoke').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('reason').setDescription('Why this is being revoked').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('unlock')
+      .setDescription('Lift a verification lockout and clear the user\'s failed attempts.')
+      .addUserOption((opt) => opt.setName('user').setDescription('User to unlock').setRequired(true))
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('transfer')
+      .setDescription('Move an invoice (and its roles) to another Discord account.')
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID to transfer').setRequired(true)
+      )
+      .addUserOption((opt) =>
+        opt.setName('to_user').setDescription('New owner of the invoice').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('reason').setDescription('Why this is being transferred').setRequired(true)
+      )
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const subscriptionCommand = new SlashCommandBuilder()
+  .setName('subscription')
+  .setDescription('Manage time-limited (subscription) verifications (admin only).')
+  .addSubcommand((sub) =>
+    sub
+      .setName('extend')
+      .setDescription('Extend a time-limited verification (re-activates it if expired).')
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID of the subscription').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('duration').setDescription('Time to add, e.g. 1d, 7d, 30d').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('reason').setDescription('Why this is being extended').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Only this product of the invoice').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('end')
+      .setDescription('End a time-limited verification now and remove its role.')
+      .addStringOption((opt) =>
+        opt.setName('invoice_id').setDescription('Invoice ID of the subscription').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('reason').setDescription('Why this is being ended').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName('product_id').setDescription('Only this product of the invoice').setRequired(false)
+      )
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const configCommand = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('View or change this server\'s bot settings (admin only).')
+  .addSubcommand((sub) => sub.setName('view').setDescription('Show every setting and where its value comes from.'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('set')
+      .setDescription('Change one setting for this server.')
+      .addStringOption((opt) =>
+        opt.setName('key').setDescription('Setting to change').setRequired(true).addChoices(...SETTING_CHOICES)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('value')
+          .setDescription('New value: channel/role mention or ID, #hex colour, URL, duration, text, or "none" to clear')
+          .setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('reset')
+      .setDescription('Return a setting (or all settings) to the .env default.')
+      .addStringOption((opt) =>
+        opt.setName('key').setDescription('Setting to reset (all if omitted)').setRequired(false).addChoices(...SETTING_CHOICES)
+      )
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const scheduledCommand = new SlashCommandBuilder()
+  .setName('scheduled')
+  .setDescription('Manage scheduled embeds and updates (admin only).')
+  .addSubcommand((sub) => sub.setName('list').setDescription('List pending scheduled posts in this server.'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('cancel')
+      .setDescription('Cancel a pending scheduled post.')
+      .addIntegerOption((opt) => opt.setName('id').setDescription('Scheduled post ID (see list)').setRequired(true))
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('edit')
+      .setDescription('Edit the content or time of a pending scheduled post.')
+      .addIntegerOption((opt) => opt.setName('id').setDescription('Scheduled post ID (see list)').setRequired(true))
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const templateNameOption = (opt) =>
+  opt
+    .setName('name')
+    .setDescription('Template name (a-z, 0-9, - and _)')
+    .setRequired(true)
+    .setMaxLength(32)
+    .setAutocomplete(true);
+
+const templateCommand = new SlashCommandBuilder()
+  .setName('template')
+  .setDescription('Manage saved /embed templates (admin only).')
+  .addSubcommand((sub) =>
+    sub
+      .setName('save')
+      .setDescription('Create or edit a template (modal). Supports {server}, {member_count}, {date} and {user}.')
+      .addStringOption(templateNameOption)
+  )
+  .addSubcommand((sub) => sub.setName('list').setDescription('List the templates saved in this server.'))
+  .addSubcommand((sub) =>
+    sub.setName('delete').setDescription('Delete a template.').addStringOption(templateNameOption)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const embedJsonCommand = new SlashCommandBuilder()
+  .setName('embed_json')
+  .setDescription('Post or export messages as Discohook-compatible JSON.')
+  .addSubcommand((sub) =>
+    sub
+      .setName('post')
+      .setDescription('Post a JSON file (content + up to 10 embeds) to a channel.')
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Channel to post to')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true)
+      )
+      .addAttachmentOption((opt) => opt.setName('file').setDescription('JSON file from Discohook').setRequired(true))
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('export')
+      .setDescription('Download one of my messages as JSON to edit in Discohook.')
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Channel containing the message')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true)
+      )
+      .addStringOption((opt) => opt.setName('message_id').setDescription('ID of the message to export').setRequired(true))
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const embedHistoryCommand = new SlashCommandBuilder()
+  .setName('embedhistory')
+  .setDescription('Show saved revisions of a bot message and restore one.')
+  .addStringOption((opt) => opt.setName('message').setDescription('Message link or ID').setRequired(true))
+  .addChannelOption((opt) =>
+    opt
+      .setName('channel')
+      .setDescription('Channel of the message (not needed with a link; defaults to this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+      .setRequired(false)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const embedBuilderCommand = new SlashCommandBuilder()
+  .setName('embed_builder')
+  .setDescription('Build an embed step by step (fields, author, footer, colour, link buttons) with a live preview.')
+  .addChannelOption((opt) =>
+    opt
+      .setName('channel')
+      .setDescription('Channel to send the embed to')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+      .setRequired(true)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const rolePanelIdOption = (opt) => opt.setName('panel').setDescription('Panel ID (see /rolepanel list)').setRequired(true);
+
+const rolePanelCommand = new SlashCommandBuilder()
+  .setName('rolepanel')
+  .setDescription('Self-assign role panels (admin only).')
+  .addSubcommand((sub) =>
+    sub
+      .setName('create')
+      .setDescription('Post a panel members use to add or remove roles themselves.')
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Channel to post the panel in')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true)
+      )
+      .addStringOption((opt) => opt.setName('title').setDescription('Panel title').setRequired(true).setMaxLength(256))
+      .addStringOption((opt) =>
+        opt.setName('roles').setDescription('Roles to offer: mentions or IDs (max 25)').setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('style')
+          .setDescription('Buttons (default) or a select menu')
+          .setRequired(false)
+          .addChoices({ name: 'Buttons', value: 'buttons' }, { name: 'Select menu', value: 'select' })
+      )
+      .addStringOption((opt) => opt.setName('description').setDescription('Text above the role list').setRequired(false))
+      .addRoleOption((opt) =>
+        opt.setName('required_role').setDescription('Only members with this role can use the panel').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('edit')
+      .setDescription('Change a panel\'s text, style or requirement.')
+      .addIntegerOption(rolePanelIdOption)
+      .addStringOption((opt) => opt.setName('title').setDescription('New title').setRequired(false).setMaxLength(256))
+      .addStringOption((opt) => opt.setName('description').setDescription('New description ("-" removes it)').setRequired(false))
+      .addStringOption((opt) =>
+        opt
+          .setName('style')
+          .setDescription('Buttons or a select menu')
+          .setRequired(false)
+          .addChoices({ name: 'Buttons', value: 'buttons' }, { name: 'Select menu', value: 'select' })
+      )
+      .addRoleOption((opt) => opt.setName('required_role').setDescription('New required role').setRequired(false))
+      .addBooleanOption((opt) =>
+        opt.setName('clear_requirement').setDescription('Let everyone use the panel again').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('add-role')
+      .setDescription('Add a role to a panel (or change its label/emoji).')
+      .addIntegerOption(rolePanelIdOption)
+      .addRoleOption((opt) => opt.setName('role').setDescription('Role to offer').setRequired(true))
+      .addStringOption((opt) => opt.setName('label').setDescription('Button/option text (default: role name)').setRequired(false).setMaxLength(80))
+      .addStringOption((opt) => opt.setName('emoji').setDescription('Emoji shown next to it').setRequired(false))
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('remove-role')
+      .setDescription('Remove a role from a panel.')
+      .addIntegerOption(rolePanelIdOption)
+      .addRoleOption((opt) => opt.setName('role').setDescription('Role to remove').setRequired(true))
+  )
+  .addSubcommand((sub) => sub.setName('list').setDescription('List the role panels in this server.'))
+  .addSubcommand((sub) =>
+    sub.setName('delete').setDescription('Delete a panel and its message.').addIntegerOption(rolePanelIdOption)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const caseNumberOption = (opt) => opt.setName('number').setDescription('Case number').setRequired(true).setMinValue(1);
+
+const caseCommand = new SlashCommandBuilder()
+  .setName('case')
+  .setDescription('View or manage moderation cases (admin only).')
+  .addSubcommand((sub) => sub.setName('view').setDescription('Show one case.').addIntegerOption(caseNumberOption))
+  .addSubcommand((sub) =>
+    sub
+      .setName('edit-reason')
+      .setDescription('Change the reason of a case (the mod-log entry is updated too).')
+      .addIntegerOption(caseNumberOption)
+      .addStringOption((opt) => opt.setName('reason').setDescription('New reason').setRequired(true).setMaxLength(1000))
+  )
+  .addSubcommand((sub) =>
+    sub.setName('delete').setDescription('Delete a case and its mod-log entry.').addIntegerOption(caseNumberOption)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const modlogCommand = new SlashCommandBuilder()
+  .setName('modlog')
+  .setDescription('List the moderation cases of a user (admin only).')
+  .addUserOption((opt) => opt.setName('user').setDescription('User to look up (ID works for users who left)').setRequired(true))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const warnCommand = new SlashCommandBuilder()
+  .setName('warn')
+  .setDescription('Warn a member; repeated warnings escalate automatically (admin only).')
+  .addUserOption((opt) => opt.setName('user').setDescription('Member to warn').setRequired(true))
+  .addStringOption((opt) =>
+    opt.setName('reason').setDescription('Reason (sent to the member)').setRequired(true).setMaxLength(1000)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const warningsCommand = new SlashCommandBuilder()
+  .setName('warnings')
+  .setDescription('List the active warnings of a member (admin only).')
+  .addUserOption((opt) => opt.setName('user').setDescription('Member to look up').setRequired(true))
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const clearwarnCommand = new SlashCommandBuilder()
+  .setName('clearwarn')
+  .setDescription('Remove one warning, or every warning, of a member (admin only).')
+  .addUserOption((opt) => opt.setName('user').setDescription('Member whose warnings to clear').setRequired(true))
+  .addIntegerOption((opt) =>
+    opt.setName('id').setDescription('Warning ID from /warnings (all warnings if omitted)').setRequired(false).setMinValue(1)
+  )
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
+const tempbansCommand = new SlashCommandBuilder()
+  .setName('tempbans')
+  .setDescription('List active temporary bans and when they end (admin only).')
+  .setDefaultMemberPermissions(baseAdminPerm)
+  .setDMPermission(false);
+
 const commands = [
   updatesCommand,
   embedCommand,
@@ -455,6 +2426,22 @@ const commands = [
   banCommand,
   unbanCommand,
   verifyEmbCommand,
+  rolemapCommand,
+  verificationCommand,
+  subscriptionCommand,
+  configCommand,
+  scheduledCommand,
+  templateCommand,
+  embedJsonCommand,
+  embedHistoryCommand,
+  embedBuilderCommand,
+  rolePanelCommand,
+  caseCommand,
+  modlogCommand,
+  warnCommand,
+  warningsCommand,
+  clearwarnCommand,
+  tempbansCommand,
 ].map((c) => c.toJSON());
 
 const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
@@ -469,477 +2456,4936 @@ const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
   }
 })();
 
-// --------------------
-// Client events & interactions
-// --------------------
+// Guild for bot-wide things without an interaction (presence) and rows stored before guild_id existed
+function resolvePrimaryGuild() {
+  if (GUILD_ID) return client.guilds.cache.get(GUILD_ID) || null;
+  if (client.guilds.cache.size === 1) return client.guilds.cache.first();
+  return null;
+}
 
-client.once(Events.ClientReady, () => {
-  logInfo(`Logged in as ${client.user.tag}`);
+// Server a stored verification row belongs to, or null when the bot is not in it (or it is unknown yet)
+function guildForRow(row) {
+  return (row && row.guild_id && client.guilds.cache.get(row.guild_id)) || null;
+}
 
-  try {
-    const type = resolveActivityType(ACTIVITY_MODE);
-    const status = resolveStatus(STATUS);
-    const prefix = sessionPrefix(SESSION_STYLE);
+/**
+ * backfillGuildIds
+ * - verifications and role_mappings rows from before guild_id was stored get the server that owns
+ *   their role (role IDs are unique across Discord). Rows whose role is in no server stay NULL.
+ */
+async function backfillGuildIds() {
+  for (const table of ['verifications', 'role_mappings']) {
+    const rows = await dbAll(`SELECT DISTINCT role_id FROM ${table} WHERE guild_id IS NULL AND role_id IS NOT NULL`);
+    let filled = 0;
+    for (const { role_id: roleId } of rows) {
+      const guild = client.guilds.cache.find((g) => g.roles.cache.has(roleId));
+      if (!guild) continue;
+      try {
+        const { changes } = await dbRun(`UPDATE ${table} SET guild_id = ? WHERE guild_id IS NULL AND role_id = ?`, [guild.id, roleId]);
+        filled += changes;
+      } catch (err) {
+        // The server already has its own mapping for that product; it wins over the old global one
+        logError(`Could not assign ${table} rows of role ${roleId} to ${guild.id}`, err);
+      }
+    }
+    if (filled) logInfo(`Assigned ${filled} ${table} row(s) from before per-server storage to their server`);
+  }
+}
 
-    const nameBase =
-      ACTIVITY_NAME && ACTIVITY_NAME.trim() ? ACTIVITY_NAME.trim() : 'ICE R6S';
+// Posts to the guild's staff_channel setting; false when unset or unreachable
+async function sendStaffEmbed(guild, embed) {
+  const { staff_channel: staffChannelId } = await getGuildSettings(guild?.id);
+  if (!staffChannelId) return false;
 
-    const activity = {
-      name: prefix ? `${prefix} ${nameBase}` : nameBase,
-      type,
-    };
+  try {
+    const channel =
+      client.channels.cache.get(staffChannelId) ||
+      (await client.channels.fetch(staffChannelId).catch(() => null));
 
-    if (type === ActivityType.Streaming && STREAM_URL && STREAM_URL.trim()) {
-      activity.url = STREAM_URL.trim();
+    if (!channel || !channel.isTextBased()) {
+      logError(`Staff channel ${staffChannelId} not found or not text-based`);
+      return false;
     }
 
-    client.user.setPresence({
-      status,
-      activities: [activity],
-    });
-  } catch (e) {
-    // ignore presence errors
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    return true;
+  } catch (err) {
+    logError('Failed to post to staff channel', err);
+    return false;
   }
-});
-
-client.on(Events.InteractionCreate, async (interaction) => {
-  try {
-    if (interaction.isChatInputCommand()) {
-      const { commandName } = interaction;
+}
 
-      // /editembed
-      if (commandName === 'editembed') {
-        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
-        }
+const VERIFY_LOG_COLORS = {
+  success: 0x57f287,
+  warning: 0xfee75c,
+  failure: 0xed4245,
+};
 
-        const targetChannel = interaction.options.getChannel('channel', true);
-        const messageId = interaction.options.getString('message_id', true);
-        const channel = targetChannel;
+/**
+ * logVerificationAttempt
+ * - Posts one embed per invoice_modal outcome to the guild's verify_log_channel (fire and forget).
+ * - outcome: 'success' | 'warning' (verified, role problem) | 'failure'
+ */
+async function logVerificationAttempt({ guild, user, invoiceId, provider, status, productIds, outcome, result, errorReason }) {
+  try {
+    const settings = await getGuildSettings(guild?.id);
+    const logChannelId = settings.verify_log_channel;
+    if (!logChannelId) return;
 
-        if (!channel || channel.type !== ChannelType.GuildText) {
-          return interaction.reply({ content: 'Invalid channel.', flags: 64 });
-        }
+    const channel =
+      client.channels.cache.get(logChannelId) ||
+      (await client.channels.fetch(logChannelId).catch(() => null));
 
-        const message = await channel.messages.fetch(messageId).catch(() => null);
-        if (!message)
-          return interaction.reply({ content: 'Message not found.', flags: 64 });
+    if (!channel || !channel.isTextBased()) {
+      logError(`Verification log channel ${logChannelId} not found or not text-based`);
+      return;
+    }
 
-        if (message.author?.id !== client.user.id)
-          return interaction.reply({
-            content: 'I can only edit embeds that I sent.',
-            flags: 64,
-          });
+    const embed = new EmbedBuilder()
+      .setTitle('🧾 Verification attempt')
+      .setColor(VERIFY_LOG_COLORS[outcome] || settings.embed_color)
+      .addFields(
+        { name: 'User', value: `${user} (\`${user.id}\`)`, inline: true },
+        { name: 'Invoice ID', value: `\`${String(invoiceId).slice(0, 100)}\``, inline: true },
+        { name: 'Status', value: status ? String(status) : 'UNKNOWN', inline: true },
+        {
+          name: 'Product',
+          value: productIds && productIds.length > 0 ? productIds.map((p) => `\`${p}\``).join(', ').slice(0, 1024) : '—',
+          inline: true,
+        },
+        { name: 'Result', value: String(result || outcome).slice(0, 1024), inline: true },
+        { name: 'Store', value: provider || '—', inline: true }
+      )
+      .setTimestamp();
+
+    if (errorReason) embed.addFields({ name: 'Reason', value: String(errorReason).slice(0, 1024) });
+
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+  } catch (err) {
+    logError('Failed to post verification log', err);
+  }
+}
 
-        // Build modal with only Title, Description, image1, image2, image3 (all optional)
-        const modal = new ModalBuilder()
-          .setCustomId(`editembedModal:${channel.id}:${message.id}`)
-          .setTitle('Edit Embed (Title, Description, Image1-3)');
+// --------------------
+// Verification lockouts (failed attempts persisted per user)
+// --------------------
 
-        const titleInput = new TextInputBuilder()
-          .setCustomId('edit_title')
-          .setLabel('Title (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false);
+function positiveIntEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
 
-        const descriptionInput = new TextInputBuilder()
-          .setCustomId('edit_description')
-          .setLabel('Description (optional)')
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(false);
+const VERIFY_LOCKOUT = {
+  maxFailures: positiveIntEnv(VERIFY_MAX_FAILURES, 5),
+  windowMinutes: positiveIntEnv(VERIFY_FAILURE_WINDOW_MINUTES, 60),
+  lockoutMinutes: positiveIntEnv(VERIFY_LOCKOUT_MINUTES, 60),
+};
+
+// Active lockout row for a user, or null
+function getActiveLockout(discordId) {
+  return dbGet(
+    `SELECT * FROM verification_lockouts WHERE discord_id = ? AND locked_until > CURRENT_TIMESTAMP`,
+    [String(discordId)]
+  );
+}
 
-        const img1 = new TextInputBuilder()
-          .setCustomId('edit_image_1')
-          .setLabel('Image URL 1 (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+function lockoutMessage(lockout) {
+  const until = sqliteTimeToUnix(lockout.locked_until);
+  return `⛔ Too many failed verification attempts. Try again ${
+    until ? `<t:${until}:R>` : 'later'
+  } or contact staff with your invoice ID.`;
+}
 
-        const img2 = new TextInputBuilder()
-          .setCustomId('edit_image_2')
-          .setLabel('Image URL 2 (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+/**
+ * recordVerificationFailure
+ * - Stores a failed attempt, locks the user out once the configured number of
+ *   failures happens inside the window, and flags invoices tried from several accounts.
+ * - Failures from before the user's last lockout do not count again.
+ * - Failures older than the window are deleted here, as nothing reads them any more.
+ */
+async function recordVerificationFailure({ guild, user, invoiceId, reason }) {
+  const discordId = String(user.id);
+  const invoiceKey = String(invoiceId).slice(0, 100);
+  const windowModifier = `-${VERIFY_LOCKOUT.windowMinutes} minutes`;
 
-        const img3 = new TextInputBuilder()
-          .setCustomId('edit_image_3')
-          .setLabel('Image URL 3 (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+  try {
+    await dbRun(`DELETE FROM verification_failures WHERE created_at < datetime('now', ?)`, [windowModifier]);
+    await dbRun(
+      `INSERT INTO verification_failures (discord_id, invoice_id, reason) VALUES (?, ?, ?)`,
+      [discordId, invoiceKey, reason]
+    );
+
+    const countRow = await dbGet(
+      `
+        SELECT COUNT(*) AS n FROM verification_failures
+        WHERE discord_id = ?
+          AND created_at >= datetime('now', ?)
+          AND created_at > COALESCE(
+            (SELECT created_at FROM verification_lockouts WHERE discord_id = ?), ''
+          )
+      `,
+      [discordId, windowModifier, discordId]
+    );
+
+    if (countRow && countRow.n >= VERIFY_LOCKOUT.maxFailures) {
+      await dbRun(
+        `
+          INSERT INTO verification_lockouts (discord_id, locked_until, failures)
+          VALUES (?, datetime('now', ?), ?)
+          ON CONFLICT(discord_id) DO UPDATE SET
+            locked_until = excluded.locked_until,
+            failures = excluded.failures,
+            created_at = CURRENT_TIMESTAMP
+        `,
+        [discordId, `+${VERIFY_LOCKOUT.lockoutMinutes} minutes`, countRow.n]
+      );
+
+      const recent = await dbAll(
+        `
+          SELECT invoice_id, reason FROM verification_failures
+          WHERE discord_id = ? AND created_at >= datetime('now', ?)
+          ORDER BY id DESC LIMIT 10
+        `,
+        [discordId, windowModifier]
+      );
+
+      logInfo(`Verification lockout: ${user.tag} (${discordId}) after ${countRow.n} failures`);
+
+      await sendStaffEmbed(
+        guild,
+        new EmbedBuilder()
+          .setTitle('⛔ Verification lockout')
+          .setDescription(
+            `${user} (\`${discordId}\`) failed ${countRow.n} verification attempts within ${VERIFY_LOCKOUT.windowMinutes} minute(s) and is locked out for ${VERIFY_LOCKOUT.lockoutMinutes} minute(s).`
+          )
+          .addFields({
+            name: 'Recent attempts',
+            value: recent.map((r) => `\`${r.invoice_id}\` — ${r.reason || 'failed'}`).join('\n').slice(0, 1024) || '—',
+          })
+          .setColor(0xed4245)
+          .setTimestamp()
+      );
+    }
 
-        const rows = [
-          new ActionRowBuilder().addComponents(titleInput),
-          new ActionRowBuilder().addComponents(descriptionInput),
-          new ActionRowBuilder().addComponents(img1),
-          new ActionRowBuilder().addComponents(img2),
-          new ActionRowBuilder().addComponents(img3),
-        ];
+    // Same invoice from several accounts: possible invoice sharing
+    const accounts = await dbAll(
+      `
+        SELECT DISTINCT discord_id FROM verification_failures
+        WHERE invoice_id = ? AND created_at >= datetime('now', ?)
+        UNION
+        SELECT DISTINCT discord_id FROM verifications WHERE invoice_id = ?
+      `,
+      [invoiceKey, windowModifier, invoiceKey]
+    );
+
+    if (accounts.length >= 2) {
+      const alerted = await dbGet(
+        `
+          SELECT accounts FROM invoice_share_alerts
+          WHERE invoice_id = ? AND alerted_at >= datetime('now', ?)
+        `,
+        [invoiceKey, windowModifier]
+      );
+
+      // Re-alert only when a new account shows up or the previous alert is outside the window
+      if (!alerted || accounts.length > alerted.accounts) {
+        await dbRun(
+          `
+            INSERT INTO invoice_share_alerts (invoice_id, accounts) VALUES (?, ?)
+            ON CONFLICT(invoice_id) DO UPDATE SET
+              accounts = excluded.accounts,
+              alerted_at = CURRENT_TIMESTAMP
+          `,
+          [invoiceKey, accounts.length]
+        );
 
-        modal.addComponents(...rows.slice(0, MODAL_MAX_COMPONENTS));
-        await interaction.showModal(modal);
-        return;
+        const owner = await dbGet(`SELECT discord_id FROM verifications WHERE invoice_id = ? LIMIT 1`, [invoiceKey]);
+
+        logInfo(`Possible invoice sharing: ${invoiceKey} tried from ${accounts.length} accounts`);
+
+        await sendStaffEmbed(
+          guild,
+          new EmbedBuilder()
+            .setTitle('⚠️ Possible invoice sharing')
+            .setDescription(`Invoice \`${invoiceKey}\` was tried from ${accounts.length} different accounts.`)
+            .addFields(
+              {
+                name: 'Accounts',
+                value: accounts.map((a) => `<@${a.discord_id}> (\`${a.discord_id}\`)`).join('\n').slice(0, 1024),
+              },
+              { name: 'Verified owner', value: owner ? `<@${owner.discord_id}>` : 'None' }
+            )
+            .setColor(0xfee75c)
+            .setTimestamp()
+        );
       }
-// Verify embed block (replace existing verifyemb handler with this)
-if (commandName === 'verifyemb') {
-  if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-    return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+    }
+  } catch (err) {
+    logError('Failed to record verification failure', err);
   }
+}
 
-  const descriptionText = [
-    '**How verification works**',
-    '',
-    '1. Click **Verify Invoice** below.',
-    '2. Enter your invoice ID from our [Store](https://ice.sell.app/) when prompted (example: `2711846`).',
-    '3. The bot will check the invoice status with our Store and, if eligible, assign the Customer role automatically.',
-    '',
-    '**What qualifies**',
-    '- Only completed/paid invoices are accepted. Typical accepted statuses: PAID, COMPLETED, FULFILLED, SUCCESS.',
-    '',
-    '**What to expect**',
-    '- If verification succeeds you will receive a confirmation message and the role will be added to your account.',
-    '- If verification fails, the bot will explain why (invalid invoice, unpaid status, or already used).',
-    '',
-    '**Privacy & storage**',
-    '- Invoice IDs are stored only to prevent reuse and to reassign roles if you rejoin the server.',
-    '- No personal payment details are stored by this bot; only the invoice identifier and verification metadata are kept.',
-    '',
-    '**Troubleshooting**',
-    '- Double-check the invoice ID you enter (no extra spaces).',
-    '- If the invoice is recent, allow a few minutes for payment processing before verifying.',
-    '- If you see "already used", contact staff with proof of purchase so they can investigate.',
-    '',
-    '**Need help?**',
-    '- If verification fails or you need manual assistance, please open a ticket or contact a staff member with your invoice ID and order details.',
-    '',
-    'By verifying you confirm you own the invoice and agree to server staff reviewing verification records if needed.'
-  ].join('\n');
+// --------------------
+// Sell.app webhook listener (optional; enabled when SELLAPP_WEBHOOK_PORT is set)
+// Sell.app signs the raw body with HMAC-SHA256 (hex) in the `signature` header.
+// --------------------
 
-  const embed = new EmbedBuilder()
-    .setTitle('🔒 Invoice Verification')
-    .setDescription(descriptionText)
-    .setColor(EMBED_COLOR);
+const WEBHOOK_PATH = '/webhooks/sellapp';
+const WEBHOOK_MAX_BODY_BYTES = 1024 * 1024;
+let webhookServer = null;
 
-  const button = new ButtonBuilder()
-    .setCustomId('verify_invoice_button')
-    .setLabel('Verify Invoice')
-    .setStyle(ButtonStyle.Primary)
-    .setEmoji('🔎');
+function verifySellAppSignature(rawBody, signature) {
+  if (!SELLAPP_WEBHOOK_SECRET || !signature) return false;
 
-  const row = new ActionRowBuilder().addComponents(button);
+  const expected = crypto
+    .createHmac('sha256', SELLAPP_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
 
-  try {
-    await interaction.channel.send({ embeds: [embed], components: [row] });
-    await interaction.reply({
-      content: '✅ Verification embed sent to this channel.',
-      flags: 64,
-    });
-  } catch (err) {
-    logError('Failed to send verification embed', err);
-    await interaction.reply({
-      content: '❌ Failed to send verification embed. Check bot permissions.',
-      flags: 64,
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(String(signature).trim().toLowerCase(), 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * extractCheckoutField
+ * - Finds a custom checkout field by label (case-insensitive).
+ * - Accepts arrays of { label|name|key|title, value } or plain objects,
+ *   on the invoice itself or on any of its items.
+ */
+function extractCheckoutField(invoice, fieldName) {
+  if (!invoice || !fieldName) return null;
+  const wanted = fieldName.trim().toLowerCase();
+
+  const containers = [];
+  const collect = (obj) => {
+    if (!obj || typeof obj !== 'object') return;
+    for (const k of ['additional_information', 'custom_fields', 'fields']) {
+      if (obj[k]) containers.push(obj[k]);
+    }
+  };
+
+  collect(invoice);
+  if (Array.isArray(invoice.items)) invoice.items.forEach(collect);
+
+  for (const c of containers) {
+    if (Array.isArray(c)) {
+      for (const f of c) {
+        if (!f || typeof f !== 'object') continue;
+        const label = f.label ?? f.name ?? f.key ?? f.title;
+        if (typeof label === 'string' && label.trim().toLowerCase() === wanted && f.value != null) {
+          const v = String(f.value).trim();
+          if (v) return v;
+        }
+      }
+    } else if (typeof c === 'object') {
+      for (const [k, v] of Object.entries(c)) {
+        if (k.trim().toLowerCase() === wanted && v != null && String(v).trim()) return String(v).trim();
+      }
+    }
+  }
+
+  return null;
+}
+
+// Event name wins for refunds/disputes; otherwise use the invoice status itself
+function webhookEventStatus(event, invoice) {
+  const e = (event || '').toLowerCase();
+  if (e.includes('refund')) return 'REFUNDED';
+  if (e.includes('dispute') || e.includes('chargeback')) return 'DISPUTED';
+  if (e.includes('reverse')) return 'REVERSED';
+
+  const s = extractInvoiceStatus(invoice);
+  if (s) return String(s).toUpperCase();
+
+  if (e.includes('paid') || e.includes('completed')) return 'PAID';
+  return null;
+}
+
+// Checkout field may hold a user ID, a mention, or a username
+async function resolveWebhookMember(guild, value) {
+  const v = String(value).trim();
+  const idMatch = v.match(/^<@!?(\d{17,20})>$/) || v.match(/^(\d{17,20})$/);
+  if (idMatch) return guild.members.fetch(idMatch[1]).catch(() => null);
+
+  const username = v.replace(/^@/, '').replace(/#0$/, '').toLowerCase();
+  const found = await guild.members.fetch({ query: username, limit: 10 }).catch(() => null);
+  if (!found) return null;
+
+  return found.find((m) => m.user.username.toLowerCase() === username) || null;
+}
+
+/**
+ * resolveWebhookTarget
+ * - Server a webhook purchase is granted in: among GUILD_ID (when set) or every server the bot is in,
+ *   the first where the buyer is a member and a product of the invoice is mapped, else the first where
+ *   the buyer at least gets the fallback verify_role.
+ * - Returns { guild, member, grants } or null.
+ */
+async function resolveWebhookTarget(buyer, productIds) {
+  const guilds = GUILD_ID ? [client.guilds.cache.get(GUILD_ID)].filter(Boolean) : [...client.guilds.cache.values()];
+  let fallback = null;
+
+  for (const guild of guilds) {
+    const member = await resolveWebhookMember(guild, buyer);
+    if (!member) continue;
+
+    const { verify_role: fallbackRoleId } = await getGuildSettings(guild.id);
+    const grants = await resolveGrantsForProducts(guild.id, productIds, fallbackRoleId, 'sellapp');
+    if (grants.length === 0) continue;
+
+    const mapped = productIds.length
+      ? await dbGet(
+          `
+            SELECT 1 FROM role_mappings
+            WHERE guild_id = ? AND IFNULL(provider, 'sellapp') = 'sellapp'
+              AND product_id IN (${productIds.map(() => '?').join(', ')})
+            LIMIT 1
+          `,
+          [guild.id, ...productIds]
+        )
+      : null;
+    if (mapped) return { guild, member, grants };
+    if (!fallback) fallback = { guild, member, grants };
+  }
+
+  return fallback;
+}
+
+async function handleSellAppWebhook(payload) {
+  const event = String(payload?.event || payload?.type || '').toLowerCase();
+  const invoice = payload?.data ?? payload?.invoice ?? payload;
+  const invoiceId = invoice?.id != null ? String(invoice.id) : null;
+
+  if (!invoiceId) {
+    logInfo(`Webhook ${event || '(no event)'} ignored: payload has no invoice id`);
+    return;
+  }
+
+  const status = webhookEventStatus(event, invoice);
+
+  if (status && INACTIVE_VERIFICATION_STATUSES.includes(status)) {
+    // Each row is revoked in its own server; the primary guild only covers rows without one
+    const results = await revokeInvoiceRoles({
+      guild: resolvePrimaryGuild(),
+      invoiceId,
+      status,
+      reason: `Sell.app webhook: invoice ${invoiceId} ${status}`,
+      provider: 'sellapp',
+    });
+
+    if (results.length === 0) {
+      logInfo(`Webhook ${event}: invoice ${invoiceId} is ${status} but not linked to any account`);
+      return;
+    }
+
+    for (const r of results) {
+      logInfo(
+        `Webhook ${event}: invoice ${invoiceId} ${status}, role ${r.roleId} for ${r.discordId} ${
+          r.removed ? 'removed' : `kept (${r.reason})`
+        }`
+      );
+    }
+    return;
+  }
+
+  if (!status || !VALID_INVOICE_STATUSES.includes(status)) {
+    logInfo(`Webhook ${event}: invoice ${invoiceId} status ${status || 'UNKNOWN'} ignored`);
+    return;
+  }
+
+  const existing = await dbGet(
+    `SELECT discord_id FROM verifications WHERE invoice_id = ? AND IFNULL(provider, 'sellapp') = 'sellapp'`,
+    [invoiceId]
+  );
+  if (existing) {
+    logInfo(`Webhook ${event}: invoice ${invoiceId} already linked to ${existing.discord_id}`);
+    return;
+  }
+
+  const fieldName = SELLAPP_DISCORD_FIELD && SELLAPP_DISCORD_FIELD.trim() ? SELLAPP_DISCORD_FIELD : 'Discord';
+  const fieldValue = extractCheckoutField(invoice, fieldName);
+  if (!fieldValue) {
+    logInfo(`Webhook ${event}: invoice ${invoiceId} has no "${fieldName}" checkout field; buyer must verify manually`);
+    return;
+  }
+
+  const target = await resolveWebhookTarget(fieldValue, extractProductIds(invoice));
+  if (!target) {
+    logInfo(
+      `Webhook ${event}: invoice ${invoiceId} buyer "${fieldValue}" is in no server with a role mapping or fallback verified role`
+    );
+    return;
+  }
+  const { guild, member, grants } = target;
+
+  const result = await assignRoleAndPersist({
+    guild,
+    discordId: member.id,
+    invoiceId,
+    grants,
+    status,
+    reason: `Sell.app webhook: invoice ${invoiceId}`,
+    provider: 'sellapp',
+  });
+
+  logInfo(
+    `Webhook ${event}: invoice ${invoiceId} -> ${member.user.tag} (${member.id}), roles ${result.roleIds.join(', ')}: ${result.code}`
+  );
+}
+
+function startWebhookServer() {
+  const port = parseInt(SELLAPP_WEBHOOK_PORT, 10);
+  if (!port) return;
+
+  if (!SELLAPP_WEBHOOK_SECRET) {
+    console.warn('[WARN] SELLAPP_WEBHOOK_PORT set but SELLAPP_WEBHOOK_SECRET missing. Webhook listener disabled.');
+    return;
+  }
+
+  webhookServer = http.createServer((req, res) => {
+    if (req.method !== 'POST' || (req.url || '').split('?')[0] !== WEBHOOK_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > WEBHOOK_MAX_BODY_BYTES) {
+        tooLarge = true;
+        res.writeHead(413).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      const rawBody = Buffer.concat(chunks);
+
+      if (!verifySellAppSignature(rawBody, req.headers['signature'])) {
+        logInfo(`Webhook rejected: invalid signature from ${req.socket.remoteAddress}`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (e) {
+        res.writeHead(400).end();
+        return;
+      }
+
+      // Ask Sell.app to retry later if the gateway is not connected yet
+      if (!client.isReady()) {
+        res.writeHead(503).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"received":true}');
+      handleSellAppWebhook(payload).catch((err) => logError('Webhook processing failed', err));
+    });
+  });
+
+  webhookServer.on('error', (err) => logError('Webhook server error', err));
+  webhookServer.listen(port, () => logInfo(`Sell.app webhook listener on port ${port} (${WEBHOOK_PATH})`));
+}
+
+// --------------------
+// Invoice re-check job: catches refunds/chargebacks after a verification was stored
+// --------------------
+
+const INVOICE_RECHECK_INTERVAL_MS =
+  (parseInt(INVOICE_RECHECK_INTERVAL_MINUTES, 10) > 0 ? parseInt(INVOICE_RECHECK_INTERVAL_MINUTES, 10) : 360) * 60_000;
+const INVOICE_RECHECK_DELAY_MS = 1_000; // pause between storefront API calls
+let invoiceRecheckRunning = false;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function recheckStoredInvoices() {
+  if (invoiceRecheckRunning) return;
+
+  invoiceRecheckRunning = true;
+  const revoked = [];
+  let checked = 0;
+  let updated = 0;
+  let failed = 0;
+
+  try {
+    const placeholders = INACTIVE_VERIFICATION_STATUSES.map(() => '?').join(', ');
+    const rows = await dbAll(
+      `
+        SELECT IFNULL(provider, 'sellapp') AS provider, invoice_id, MAX(status) AS status, MAX(guild_id) AS guild_id
+        FROM verifications
+        WHERE UPPER(status) NOT IN (${placeholders})
+        GROUP BY IFNULL(provider, 'sellapp'), invoice_id
+      `,
+      INACTIVE_VERIFICATION_STATUSES
+    );
+
+    for (const row of rows) {
+      // Manual grants and providers without credentials cannot be re-checked
+      const provider = PROVIDERS[row.provider];
+      if (!provider || !provider.isConfigured()) continue;
+
+      // Without its server no role could be removed, and the invoice would never be re-checked again
+      const guild = row.guild_id ? guildForRow(row) : resolvePrimaryGuild();
+      if (!guild) continue;
+
+      if (checked > 0) await sleep(INVOICE_RECHECK_DELAY_MS);
+      checked++;
+
+      let invoice;
+      try {
+        invoice = await provider.fetchInvoice(row.invoice_id);
+      } catch (apiErr) {
+        failed++;
+        logError(
+          `Invoice re-check failed for ${provider.name} ${row.invoice_id}`,
+          apiErr.response ? apiErr.response.status : apiErr.message
+        );
+        continue;
+      }
+
+      const newStatus = provider.extractStatus(invoice);
+      if (!newStatus) continue;
+
+      if (newStatus === String(row.status).toUpperCase()) continue;
+
+      if (INACTIVE_VERIFICATION_STATUSES.includes(newStatus)) {
+        const results = await revokeInvoiceRoles({
+          guild,
+          invoiceId: row.invoice_id,
+          status: newStatus,
+          reason: `Invoice ${row.invoice_id} ${newStatus} (re-check)`,
+          provider: provider.id,
+        });
+        revoked.push({ guild, invoiceId: row.invoice_id, status: newStatus, results });
+        logInfo(`${provider.name} invoice ${row.invoice_id} is now ${newStatus}; verification revoked`);
+      } else {
+        await dbRun(
+          `UPDATE verifications SET status = ? WHERE invoice_id = ? AND IFNULL(provider, 'sellapp') = ?`,
+          [newStatus, row.invoice_id, provider.id]
+        );
+        updated++;
+      }
+    }
+
+    logInfo(
+      `Invoice re-check done: ${checked} checked, ${updated} updated, ${revoked.length} revoked, ${failed} failed`
+    );
+
+    // One summary per server, in that server's staff channel
+    const linesByGuild = new Map();
+    for (const r of revoked) {
+      if (!linesByGuild.has(r.guild.id)) linesByGuild.set(r.guild.id, { guild: r.guild, lines: [] });
+      const { lines } = linesByGuild.get(r.guild.id);
+      for (const e of r.results) {
+        const outcome = e.removed ? 'role removed' : `role kept: ${e.reason}`;
+        lines.push(`\`${r.invoiceId}\` **${r.status}** — <@${e.discordId}> <@&${e.roleId}> (${outcome})`);
+      }
+    }
+
+    for (const { guild, lines } of linesByGuild.values()) {
+      if (lines.length === 0) continue;
+
+      let text = lines.join('\n');
+      if (text.length > 4000) text = `${text.slice(0, 3990)}\n…`;
+
+      const embed = new EmbedBuilder()
+        .setTitle('🧾 Invoice re-check: revoked verifications')
+        .setDescription(text)
+        .addFields({
+          name: 'Run',
+          value: `${checked} checked · ${updated} updated · ${revoked.length} revoked · ${failed} failed`,
+        })
+        .setColor(0xed4245)
+        .setTimestamp();
+
+      await sendStaffEmbed(guild, embed);
+    }
+  } catch (err) {
+    logError('Invoice re-check job failed', err);
+  } finally {
+    invoiceRecheckRunning = false;
+  }
+}
+
+function startInvoiceRecheckJob() {
+  setInterval(() => {
+    recheckStoredInvoices().catch((err) => logError('Invoice re-check job failed', err));
+  }, INVOICE_RECHECK_INTERVAL_MS);
+
+  logInfo(`Invoice re-check scheduled every ${Math.round(INVOICE_RECHECK_INTERVAL_MS / 60_000)} minute(s)`);
+}
+
+// --------------------
+// Subscription expiry job: renewal reminder DMs, then role removal at expiry
+// --------------------
+
+const SUBSCRIPTION_CHECK_INTERVAL_MS = 60_000;
+const SUBSCRIPTION_REMINDER_SECONDS = positiveIntEnv(SUBSCRIPTION_REMINDER_HOURS, 24) * 3600;
+let subscriptionJobRunning = false;
+
+/**
+ * expireVerificationRows
+ * - Marks the given verification rows EXPIRED and removes their roles
+ *   (unless another active verification still grants the same role).
+ */
+async function expireVerificationRows(guild, rows, reason) {
+  const results = [];
+  for (const row of rows) {
+    await dbRun(
+      `UPDATE verifications SET status = 'EXPIRED', expires_at = MIN(expires_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+      [row.id]
+    );
+
+    const outcome = await removeRoleUnlessStillGranted({
+      guild,
+      discordId: row.discord_id,
+      roleId: row.role_id,
+      excludeIds: [row.id],
+      reason: reason || `Subscription expired (invoice ${row.invoice_id})`,
     });
+    results.push({ ...row, ...outcome });
+  }
+  return results;
+}
+
+async function sendRenewalReminder(guild, row) {
+  const member = await guild.members.fetch(row.discord_id).catch(() => null);
+  if (!member) return false;
+
+  const role = row.role_id ? guild.roles.cache.get(row.role_id) : null;
+  const exp = sqliteTimeToUnix(row.expires_at);
+  const settings = await getGuildSettings(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle('⏳ Your access is ending soon')
+    .setDescription(
+      [
+        `Your **${role ? role.name : 'customer'}** access in **${guild.name}** (invoice \`${row.invoice_id}\`) ends <t:${exp}:R>.`,
+        '',
+        `Renew ${settings.store_url ? `at ${settings.store_url} ` : ''}and verify the new invoice to keep your role.`,
+      ].join('\n')
+    )
+    .setColor(settings.embed_color);
+
+  try {
+    await member.send({ embeds: [embed] });
+    return true;
+  } catch (e) {
+    // DMs closed; nothing else to do
+    return false;
   }
+}
+
+async function processSubscriptions() {
+  if (subscriptionJobRunning) return;
+  subscriptionJobRunning = true;
+
+  try {
+    // Each row is handled in its own server; rows whose server is unavailable wait for the next run
+    const rowGuild = (row) => (row.guild_id ? guildForRow(row) : resolvePrimaryGuild());
+    const placeholders = INACTIVE_VERIFICATION_STATUSES.map(() => '?').join(', ');
+
+    // Remind once, inside the reminder window but never before 3/4 of a short licence has passed
+    const dueReminders = await dbAll(
+      `
+        SELECT id, guild_id, invoice_id, discord_id, role_id, expires_at FROM verifications
+        WHERE expires_at IS NOT NULL
+          AND reminded_at IS NULL
+          AND UPPER(status) NOT IN (${placeholders})
+          AND expires_at > CURRENT_TIMESTAMP
+          AND (julianday(expires_at) - julianday('now')) * 86400
+              <= MIN(?, (julianday(expires_at) - julianday(used_at)) * 86400 / 4)
+      `,
+      [...INACTIVE_VERIFICATION_STATUSES, SUBSCRIPTION_REMINDER_SECONDS]
+    );
+
+    for (const row of dueReminders) {
+      const guild = rowGuild(row);
+      if (!guild) continue;
+      const sent = await sendRenewalReminder(guild, row);
+      await dbRun(`UPDATE verifications SET reminded_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+      logInfo(`Renewal reminder for invoice ${row.invoice_id} (${row.discord_id}): ${sent ? 'sent' : 'DM failed'}`);
+    }
+
+    const expired = await dbAll(
+      `
+        SELECT id, guild_id, invoice_id, discord_id, role_id FROM verifications
+        WHERE expires_at IS NOT NULL
+          AND expires_at <= CURRENT_TIMESTAMP
+          AND UPPER(status) NOT IN (${placeholders})
+      `,
+      INACTIVE_VERIFICATION_STATUSES
+    );
+
+    for (const row of expired) {
+      const guild = rowGuild(row);
+      if (!guild) continue;
+      const results = await expireVerificationRows(guild, [row]);
+      for (const r of results) {
+        logInfo(
+          `Subscription expired: invoice ${r.invoice_id}, role ${r.role_id} for ${r.discord_id} ${
+            r.removed ? 'removed' : `kept (${r.reason})`
+          }`
+        );
+      }
+    }
+  } catch (err) {
+    logError('Subscription job failed', err);
+  } finally {
+    subscriptionJobRunning = false;
+  }
+}
+
+function startSubscriptionJob() {
+  setInterval(() => {
+    processSubscriptions().catch((err) => logError('Subscription job failed', err));
+  }, SUBSCRIPTION_CHECK_INTERVAL_MS);
+
+  // Catch up on anything that expired while the bot was offline
+  processSubscriptions().catch((err) => logError('Subscription job failed', err));
+}
+
+// --------------------
+// /updates delivery: every configured channel, each with its own mention
+// --------------------
+
+function updateMentionPayload(mention) {
+  if (mention === 'none') return { content: undefined, allowedMentions: { parse: [] } };
+  if (mention === 'everyone') return { content: '@everyone', allowedMentions: { parse: ['everyone'] } };
+  return { content: `<@&${mention}>`, allowedMentions: { roles: [mention] } };
+}
+
+/**
+ * postUpdateToTargets
+ * - Sends the embed to each { channelId, mention } target; Announcement channels are
+ *   crossposted to following servers.
+ * - One channel failing does not stop the rest. Returns [{ channelId, ok, line }].
+ */
+async function postUpdateToTargets(guild, targets, embed, files = []) {
+  const report = [];
+
+  for (const { channelId, mention } of targets) {
+    const channel = guild.channels.cache.get(channelId) || (await guild.channels.fetch(channelId).catch(() => null));
+
+    if (!channel || (channel.type !== ChannelType.GuildText && channel.type !== ChannelType.GuildAnnouncement)) {
+      logError(`Invalid or non-text updates channel: ${channelId}`);
+      report.push({ channelId, ok: false, line: `❌ <#${channelId}> — channel not found or not a text/announcement channel` });
+      continue;
+    }
+
+    let message;
+    try {
+      message = await channel.send({ ...updateMentionPayload(mention), embeds: [embed], files });
+    } catch (err) {
+      logError(`Failed to send update to ${channelId}`, err);
+      report.push({ channelId, ok: false, line: `❌ ${channel} — ${err.message || 'send failed'}` });
+      continue;
+    }
+
+    if (channel.type !== ChannelType.GuildAnnouncement) {
+      report.push({ channelId, ok: true, line: `✅ ${channel}` });
+      continue;
+    }
+
+    try {
+      await message.crosspost();
+      report.push({ channelId, ok: true, line: `✅ ${channel} (published to followers)` });
+    } catch (err) {
+      logError(`Failed to crosspost update in ${channelId}`, err);
+      report.push({ channelId, ok: true, line: `⚠️ ${channel} — posted, but publishing failed: ${err.message || 'unknown error'}` });
+    }
+  }
+
+  return report;
+}
+
+// --------------------
+// Embed templates (embed_templates table, /template save|list|delete, /embed template:<name>)
+// --------------------
+
+const TEMPLATE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function normalizeTemplateName(name) {
+  const n = String(name || '').trim().toLowerCase();
+  return TEMPLATE_NAME_RE.test(n) ? n : null;
+}
+
+function getEmbedTemplate(guildId, name) {
+  return dbGet(`SELECT * FROM embed_templates WHERE guild_id = ? AND name = ?`, [String(guildId), name]);
+}
+
+function templateImages(template) {
+  try {
+    const list = JSON.parse(template?.images || '[]');
+    return Array.isArray(list) ? list.filter(looksLikeUrl).slice(0, MAX_IMAGES) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * fillPlaceholders
+ * - {server}, {member_count}, {date} (UTC, e.g. 19 October 2026) and {user} (poster's display name).
+ * - Filled when the embed is actually sent, so scheduled posts get the values of their post time.
+ */
+function fillPlaceholders(text, { guild, userName }) {
+  if (!text) return text;
+  const date = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  return text
+    .replace(/\{server\}/gi, guild ? guild.name : '')
+    .replace(/\{member_count\}/gi, guild && guild.memberCount != null ? String(guild.memberCount) : '')
+    .replace(/\{date\}/gi, date)
+    .replace(/\{user\}/gi, userName || '');
+}
+
+// --------------------
+// Discohook JSON import/export (/embed_json post|export)
+// Accepts Discohook's plain { content, embeds } and share ({ messages: [{ data }] }) formats.
+// --------------------
+
+const EMBED_JSON_MAX_BYTES = 256 * 1024;
+
+// Discord message/embed limits (https://discord.com/developers/docs/resources/message#embed-object-embed-limits)
+const EMBED_LIMITS = {
+  content: 2000,
+  embeds: 10,
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footerText: 2048,
+  authorName: 256,
+  total: 6000,
+};
+
+/**
+ * parseEmbedJson
+ * - Validates a Discohook-style message and returns { message: { content, embeds, allowedMentions } }
+ *   with only the keys Discord accepts, or { errors: [...] } listing every problem found.
+ * - Colours may be integers or "#RRGGBB"; URLs must be http(s); allowed_mentions is honoured,
+ *   otherwise nobody is pinged (same as the other embed commands).
+ */
+function parseEmbedJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`Not valid JSON: ${e.message}`] };
+  }
+
+  if (raw && Array.isArray(raw.messages)) {
+    if (raw.messages.length > 1) return { errors: ['Share links with several messages are not supported; export one message.'] };
+    raw = raw.messages[0] && raw.messages[0].data;
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { errors: ['Expected a JSON object with `content` and/or `embeds`.'] };
+
+  const errors = [];
+  const str = (v) => (typeof v === 'string' ? v.trim() : v == null ? '' : null);
+  const checkText = (value, limit, label) => {
+    const s = str(value);
+    if (s === null) errors.push(`${label} must be text.`);
+    else if (s.length > limit) errors.push(`${label} is ${s.length} characters (max ${limit}).`);
+    return s || '';
+  };
+  const checkUrl = (value, label) => {
+    const s = str(value);
+    if (!s) return null;
+    if (!looksLikeUrl(s)) errors.push(`${label} is not an http(s) URL.`);
+    return s;
+  };
+
+  const content = checkText(raw.content, EMBED_LIMITS.content, '`content`');
+
+  const rawEmbeds = raw.embeds == null ? [] : raw.embeds;
+  if (!Array.isArray(rawEmbeds)) {
+    errors.push('`embeds` must be an array.');
+  } else if (rawEmbeds.length > EMBED_LIMITS.embeds) {
+    errors.push(`${rawEmbeds.length} embeds (max ${EMBED_LIMITS.embeds}).`);
+  }
+
+  const embeds = [];
+  let totalChars = 0;
+
+  (Array.isArray(rawEmbeds) ? rawEmbeds.slice(0, EMBED_LIMITS.embeds) : []).forEach((e, i) => {
+    const at = `Embed ${i + 1}`;
+    if (!e || typeof e !== 'object') {
+      errors.push(`${at} is not an object.`);
+      return;
+    }
+
+    const out = {};
+    const title = checkText(e.title, EMBED_LIMITS.title, `${at} title`);
+    const description = checkText(e.description, EMBED_LIMITS.description, `${at} description`);
+    if (title) out.title = title;
+    if (description) out.description = description;
+    totalChars += title.length + description.length;
+
+    const url = checkUrl(e.url, `${at} url`);
+    if (url) out.url = url;
+
+    if (e.color != null && e.color !== '') {
+      const color = typeof e.color === 'number' ? e.color : parseHexColor(e.color);
+      if (!Number.isInteger(color) || color < 0 || color > 0xffffff) errors.push(`${at} color must be 0-16777215 or #RRGGBB.`);
+      else out.color = color;
+    }
+
+    if (e.timestamp) {
+      if (Number.isNaN(Date.parse(e.timestamp))) errors.push(`${at} timestamp is not an ISO date.`);
+      else out.timestamp = new Date(e.timestamp).toISOString();
+    }
+
+    if (e.author && typeof e.author === 'object') {
+      const name = checkText(e.author.name, EMBED_LIMITS.authorName, `${at} author name`);
+      if (name) {
+        out.author = { name };
+        const authorUrl = checkUrl(e.author.url, `${at} author url`);
+        const iconUrl = checkUrl(e.author.icon_url, `${at} author icon`);
+        if (authorUrl) out.author.url = authorUrl;
+        if (iconUrl) out.author.icon_url = iconUrl;
+        totalChars += name.length;
+      }
+    }
+
+    if (e.footer && typeof e.footer === 'object') {
+      const footerText = checkText(e.footer.text, EMBED_LIMITS.footerText, `${at} footer`);
+      if (footerText) {
+        out.footer = { text: footerText };
+        const iconUrl = checkUrl(e.footer.icon_url, `${at} footer icon`);
+        if (iconUrl) out.footer.icon_url = iconUrl;
+        totalChars += footerText.length;
+      }
+    }
+
+    for (const key of ['image', 'thumbnail']) {
+      const imageUrl = e[key] && checkUrl(e[key].url, `${at} ${key}`);
+      if (imageUrl) out[key] = { url: imageUrl };
+    }
+
+    if (e.fields != null) {
+      if (!Array.isArray(e.fields)) {
+        errors.push(`${at} fields must be an array.`);
+      } else {
+        if (e.fields.length > EMBED_LIMITS.fields) errors.push(`${at} has ${e.fields.length} fields (max ${EMBED_LIMITS.fields}).`);
+        out.fields = [];
+        e.fields.slice(0, EMBED_LIMITS.fields).forEach((f, j) => {
+          const name = checkText(f && f.name, EMBED_LIMITS.fieldName, `${at} field ${j + 1} name`);
+          const value = checkText(f && f.value, EMBED_LIMITS.fieldValue, `${at} field ${j + 1} value`);
+          if (!name || !value) errors.push(`${at} field ${j + 1} needs a name and a value.`);
+          out.fields.push({ name, value, inline: Boolean(f && f.inline) });
+          totalChars += name.length + value.length;
+        });
+        if (out.fields.length === 0) delete out.fields;
+      }
+    }
+
+    if (!out.title && !out.description && !out.fields && !out.image && !out.thumbnail && !out.author && !out.footer) {
+      errors.push(`${at} is empty.`);
+    }
+
+    embeds.push(out);
+  });
+
+  if (totalChars > EMBED_LIMITS.total) errors.push(`Embeds total ${totalChars} characters (max ${EMBED_LIMITS.total}).`);
+  if (!content && embeds.length === 0 && errors.length === 0) errors.push('Nothing to post: add `content` or at least one embed.');
+
+  let allowedMentions = { parse: [] };
+  const am = raw.allowed_mentions;
+  if (am && typeof am === 'object') {
+    allowedMentions = {
+      parse: Array.isArray(am.parse) ? am.parse.filter((p) => ['users', 'roles', 'everyone'].includes(p)) : [],
+    };
+    for (const key of ['users', 'roles']) {
+      if (Array.isArray(am[key]) && !allowedMentions.parse.includes(key)) {
+        allowedMentions[key] = am[key].map(String).filter((id) => /^\d{17,20}$/.test(id)).slice(0, 100);
+      }
+    }
+  }
+
+  return errors.length ? { errors } : { message: { content, embeds, allowedMentions } };
+}
+
+/**
+ * messageToEmbedJson
+ * - Discohook-compatible { content, embeds } for an existing message; Discord-generated keys
+ *   (type, proxy URLs, image sizes, video/provider) are dropped so the file re-imports cleanly.
+ */
+function messageToEmbedJson(message) {
+  const embeds = (message.embeds || []).map((embed) => {
+    const data = { ...(embed.toJSON ? embed.toJSON() : embed.data || embed) };
+    delete data.type;
+    delete data.video;
+    delete data.provider;
+    for (const key of ['image', 'thumbnail']) {
+      if (data[key]) data[key] = { url: data[key].url };
+    }
+    if (data.author) delete data.author.proxy_icon_url;
+    if (data.footer) delete data.footer.proxy_icon_url;
+    return data;
+  });
+
+  return { content: message.content || null, embeds, attachments: [] };
+}
+
+// --------------------
+// Embed revisions (embed_revisions table, /embedhistory)
+// Every edit the bot makes to one of its messages stores the previous content first, so it can be restored.
+// --------------------
+
+const EMBED_REVISIONS_KEEP = 25;
+const EMBED_HISTORY_PAGE = 10;
+
+/**
+ * editMessageWithHistory
+ * - Saves the message's current content/embeds (Discohook JSON, see messageToEmbedJson) to
+ *   embed_revisions, then applies the edit. Older revisions beyond EMBED_REVISIONS_KEEP are pruned.
+ * - source: 'editembed' | 'restore' | ... (shown in /embedhistory).
+ * - A failed snapshot is logged but does not block the edit.
+ */
+async function editMessageWithHistory(message, payload, { editedBy, source }) {
+  try {
+    await dbRun(
+      `INSERT INTO embed_revisions (guild_id, channel_id, message_id, snapshot, edited_by, source) VALUES (?, ?, ?, ?, ?, ?)`,
+      [message.guild?.id || message.channel?.guild?.id || '', message.channel.id, message.id, JSON.stringify(messageToEmbedJson(message)), editedBy, source]
+    );
+    await dbRun(
+      `DELETE FROM embed_revisions WHERE message_id = ? AND id NOT IN (
+         SELECT id FROM embed_revisions WHERE message_id = ? ORDER BY id DESC LIMIT ?
+       )`,
+      [message.id, message.id, EMBED_REVISIONS_KEEP]
+    );
+  } catch (err) {
+    logError(`Failed to save revision of message ${message.id}`, err);
+  }
+
+  return message.edit(payload);
+}
+
+// "123" or a message link (https://discord.com/channels/<guild>/<channel>/<message>)
+function parseMessageRef(input) {
+  const s = String(input || '').trim();
+  const link = s.match(/channels\/(?:\d+|@me)\/(\d{17,20})\/(\d{17,20})/);
+  if (link) return { channelId: link[1], messageId: link[2] };
+  return /^\d{17,20}$/.test(s) ? { channelId: null, messageId: s } : null;
+}
+
+// One line per visible part of a snapshot, so two snapshots can be diffed line by line
+function snapshotLines(snapshot) {
+  const lines = [];
+  if (snapshot.content) lines.push(...snapshot.content.split('\n').map((l) => `content: ${l}`));
+
+  (snapshot.embeds || []).forEach((e, i) => {
+    const p = `[${i + 1}] `;
+    if (e.author?.name) lines.push(`${p}author: ${e.author.name}`);
+    if (e.title) lines.push(`${p}title: ${e.title}`);
+    if (e.url) lines.push(`${p}url: ${e.url}`);
+    if (e.description) lines.push(...e.description.split('\n').map((l) => `${p}${l}`));
+    for (const f of e.fields || []) lines.push(`${p}field: ${f.name} = ${f.value.replace(/\n/g, ' ')}${f.inline ? ' (inline)' : ''}`);
+    if (e.image?.url) lines.push(`${p}image: ${e.image.url}`);
+    if (e.thumbnail?.url) lines.push(`${p}thumbnail: ${e.thumbnail.url}`);
+    if (e.color != null) lines.push(`${p}color: #${e.color.toString(16).padStart(6, '0')}`);
+    if (e.footer?.text) lines.push(`${p}footer: ${e.footer.text}`);
+  });
+
+  return lines;
+}
+
+/**
+ * diffSnapshots
+ * - Line diff (LCS) from `from` to `to` as a ```diff block: "-" only in `from`, "+" only in `to`.
+ * - Unchanged lines are dropped except one line of context around each change.
+ */
+function diffSnapshots(from, to) {
+  const a = snapshotLines(from);
+  const b = snapshotLines(to);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i++]]);
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+
+  const changed = (k) => ops[k] && ops[k][0] !== ' ';
+  const out = ops
+    .filter((op, k) => op[0] !== ' ' || changed(k - 1) || changed(k + 1))
+    .map(([sign, line]) => `${sign} ${line.slice(0, 200)}`);
+
+  if (!out.length) return '_No differences._';
+  const body = out.join('\n');
+  return `\`\`\`diff\n${body.length > 3800 ? `${body.slice(0, 3800)}\n…` : body}\n\`\`\``;
+}
+
+function formatRevision(row) {
+  let snapshot = {};
+  try {
+    snapshot = JSON.parse(row.snapshot);
+  } catch (e) {
+    // unreadable rows still list
+  }
+  const title = snapshot.embeds?.[0]?.title || snapshot.content || '(no title)';
+  return `**#${row.id}** <t:${sqliteTimeToUnix(row.edited_at)}:R> by <@${row.edited_by}> (${row.source}) — ${String(title).slice(0, 60)}`;
+}
+
+/**
+ * buildHistoryView
+ * - Ephemeral /embedhistory page: latest revisions, a select menu to diff one against the message,
+ *   and one-click restore buttons for the newest five.
+ */
+async function buildHistoryView(message, color) {
+  const rows = await dbAll(
+    `SELECT * FROM embed_revisions WHERE message_id = ? ORDER BY id DESC LIMIT ?`,
+    [message.id, EMBED_HISTORY_PAGE]
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('🕘 Embed history')
+    .setDescription(
+      rows.length
+        ? `${message.url}\n\n${rows.map(formatRevision).join('\n')}\n\nEach revision is the message as it was **before** that edit.`
+        : `${message.url}\n\n_No saved revisions yet. They are recorded on every edit the bot makes._`
+    )
+    .setColor(color);
+
+  if (!rows.length) return { embeds: [embed], components: [] };
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`embedhist_diff:${message.channel.id}:${message.id}`)
+    .setPlaceholder('Show what changed since a revision…')
+    .addOptions(
+      rows.map((r) => ({
+        label: `#${r.id} (${r.source})`,
+        description: new Date(sqliteTimeToUnix(r.edited_at) * 1000).toISOString().replace('T', ' ').slice(0, 16) + ' UTC',
+        value: String(r.id),
+      }))
+    );
+
+  const buttons = rows
+    .slice(0, 5)
+    .map((r) =>
+      new ButtonBuilder().setCustomId(`embedhist_restore:${r.id}`).setLabel(`Restore #${r.id}`).setStyle(ButtonStyle.Secondary)
+    );
+
+  return {
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(select), new ActionRowBuilder().addComponents(...buttons)],
+  };
+}
+
+// --------------------
+// Interactive embed builder (/embed_builder)
+// One in-memory session per builder; the ephemeral preview is re-rendered after every step.
+// Custom IDs: ebuild:<sessionId>:<action>[:<index>] (buttons/selects), ebuildModal:<sessionId>:<action>[:<index>]
+// --------------------
+
+const BUILDER_SESSION_TTL_MS = 30 * 60_000;
+const BUILDER_MAX_LINKS = 5;
+const builderSessions = new Map();
+
+// Drop abandoned builders (same cadence as the cooldown pruning)
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, session] of builderSessions.entries()) {
+    if (now - session.updatedAt > BUILDER_SESSION_TTL_MS) builderSessions.delete(k);
+  }
+}, COOLDOWN_PRUNE_INTERVAL_MS);
+
+const BUILDER_COLORS = [
+  ['Server default', null],
+  ['Red', 0xed4245],
+  ['Orange', 0xe67e22],
+  ['Yellow', 0xfee75c],
+  ['Green', 0x57f287],
+  ['Blue', 0x3498db],
+  ['Blurple', 0x5865f2],
+  ['Purple', 0x9b59b6],
+  ['Pink', 0xeb459e],
+  ['Grey', 0x95a5a6],
+];
+
+function createBuilderSession({ guildId, userId, channelId }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const session = {
+    id,
+    guildId,
+    userId,
+    channelId,
+    title: '',
+    description: '',
+    url: '',
+    image: '',
+    thumbnail: '',
+    color: null,
+    author: null, // { name, icon_url, url }
+    footer: null, // { text, icon_url }
+    timestamp: false,
+    fields: [], // { name, value, inline }
+    links: [], // { label, url }
+    updatedAt: Date.now(),
+  };
+  builderSessions.set(id, session);
+  return session;
+}
+
+/**
+ * buildBuilderEmbed
+ * - The embed a builder session would post: buildEmbed (so the "Submitted By" line and colour
+ *   rules match /embed) plus the extras the modals cannot hold — fields, author, link, footer, timestamp.
+ */
+function buildBuilderEmbed(session, { authorDisplayName, settings }) {
+  const embed = buildEmbed({
+    title: session.title,
+    description: session.description,
+    imageUrl: session.image || null,
+    thumbnailUrl: session.thumbnail || null,
+    authorDisplayName,
+    mode: 'submit',
+    color: session.color ?? settings.embed_color,
+  });
+
+  if (session.url && session.title) embed.setURL(session.url);
+  if (session.author) embed.setAuthor({ name: session.author.name, iconURL: session.author.icon_url || undefined, url: session.author.url || undefined });
+  if (session.footer) embed.setFooter({ text: session.footer.text, iconURL: session.footer.icon_url || undefined });
+  if (session.timestamp) embed.setTimestamp();
+  if (session.fields.length) embed.addFields(session.fields);
+
+  return embed;
+}
+
+function builderLinkRow(session) {
+  if (!session.links.length) return null;
+  return new ActionRowBuilder().addComponents(
+    session.links.map((l) => new ButtonBuilder().setStyle(ButtonStyle.Link).setLabel(l.label).setURL(l.url))
+  );
+}
+
+// Total characters Discord counts towards the 6000 limit
+function builderEmbedLength(embed) {
+  const d = embed.data;
+  return (
+    (d.title || '').length +
+    (d.description || '').length +
+    (d.author?.name || '').length +
+    (d.footer?.text || '').length +
+    (d.fields || []).reduce((n, f) => n + f.name.length + f.value.length, 0)
+  );
+}
+
+/**
+ * builderView
+ * - Preview message for a session: the embed as it will be posted, its link buttons listed in
+ *   the content, and the builder controls (at most 5 rows).
+ */
+function builderView(session, { authorDisplayName, settings }) {
+  const embed = buildBuilderEmbed(session, { authorDisplayName, settings });
+  const cid = (action, index) => ['ebuild', session.id, action, index].filter((p) => p != null).join(':');
+
+  const lines = [`**Embed builder** → <#${session.channelId}>`];
+  if (session.links.length) lines.push(`Link buttons: ${session.links.map((l) => `[${l.label}](<${l.url}>)`).join(' · ')}`);
+  const length = builderEmbedLength(embed);
+  if (length > EMBED_LIMITS.total) lines.push(`⚠️ ${length}/${EMBED_LIMITS.total} characters — shorten it before sending.`);
+
+  const rows = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(cid('content')).setLabel('Title & text').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(cid('author')).setLabel('Author').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(cid('footer')).setLabel('Footer').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(cid('field'))
+        .setLabel('Add field')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(session.fields.length >= EMBED_LIMITS.fields),
+      new ButtonBuilder()
+        .setCustomId(cid('link'))
+        .setLabel('Add link button')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(session.links.length >= BUILDER_MAX_LINKS)
+    ),
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(cid('color'))
+        .setPlaceholder('Colour…')
+        .addOptions(
+          ...BUILDER_COLORS.map(([label, value]) => ({
+            label,
+            value: value == null ? 'default' : String(value),
+            default: session.color === value,
+          })),
+          { label: 'Custom #hex…', value: 'custom' }
+        )
+    ),
+  ];
+
+  if (session.fields.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(cid('editfield'))
+          .setPlaceholder('Edit or remove a field…')
+          .addOptions(
+            session.fields.map((f, i) => ({
+              label: `${i + 1}. ${f.name}`.slice(0, 100),
+              description: f.value.replace(/\s+/g, ' ').slice(0, 100),
+              value: String(i),
+            }))
+          )
+      )
+    );
+  }
+
+  if (session.links.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(cid('removelink'))
+          .setPlaceholder('Remove a link button…')
+          .addOptions(session.links.map((l, i) => ({ label: l.label, description: l.url.slice(0, 100), value: String(i) })))
+      )
+    );
+  }
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(cid('timestamp'))
+        .setLabel(session.timestamp ? 'Timestamp: on' : 'Timestamp: off')
+        .setStyle(session.timestamp ? ButtonStyle.Success : ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(cid('send')).setLabel('Send').setStyle(ButtonStyle.Success).setDisabled(length > EMBED_LIMITS.total),
+      new ButtonBuilder().setCustomId(cid('cancel')).setLabel('Cancel').setStyle(ButtonStyle.Danger)
+    )
+  );
+
+  return { content: lines.join('\n'), embeds: [embed], components: rows, allowedMentions: { parse: [] } };
+}
+
+// Modal for a builder step, pre-filled from the session. Returns null for actions without a modal.
+function builderModal(session, action, index) {
+  const modalId = ['ebuildModal', session.id, action, index].filter((p) => p != null).join(':');
+  const input = (id, label, value, { style = TextInputStyle.Short, required = false, max } = {}) => {
+    const t = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(required);
+    if (max) t.setMaxLength(max);
+    if (value) t.setValue(String(value).slice(0, max || 4000));
+    return new ActionRowBuilder().addComponents(t);
+  };
+
+  if (action === 'content') {
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle('Title & text')
+      .addComponents(
+        input('b_title', 'Title', session.title, { max: EMBED_LIMITS.title }),
+        input('b_description', 'Description', session.description, { style: TextInputStyle.Paragraph, max: 4000 }),
+        input('b_url', 'Title link URL', session.url),
+        input('b_image', 'Image URL', session.image),
+        input('b_thumbnail', 'Thumbnail URL', session.thumbnail)
+      );
+  }
+
+  if (action === 'author') {
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle('Author (blank name removes it)')
+      .addComponents(
+        input('b_author_name', 'Name', session.author?.name, { max: EMBED_LIMITS.authorName }),
+        input('b_author_icon', 'Icon URL', session.author?.icon_url),
+        input('b_author_url', 'Link URL', session.author?.url)
+      );
+  }
+
+  if (action === 'footer') {
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle('Footer (blank text removes it)')
+      .addComponents(
+        input('b_footer_text', 'Text', session.footer?.text, { style: TextInputStyle.Paragraph, max: EMBED_LIMITS.footerText }),
+        input('b_footer_icon', 'Icon URL', session.footer?.icon_url)
+      );
+  }
+
+  if (action === 'field' || action === 'editfield') {
+    const field = action === 'editfield' ? session.fields[index] : null;
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle(field ? `Field ${index + 1} (blank name removes it)` : 'Add field')
+      .addComponents(
+        input('b_field_name', 'Name', field?.name, { required: !field, max: EMBED_LIMITS.fieldName }),
+        input('b_field_value', 'Value', field?.value, { style: TextInputStyle.Paragraph, max: EMBED_LIMITS.fieldValue }),
+        input('b_field_inline', 'Inline? (yes/no)', field ? (field.inline ? 'yes' : 'no') : 'no', { max: 3 })
+      );
+  }
+
+  if (action === 'link') {
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle('Add link button')
+      .addComponents(
+        input('b_link_label', 'Label', '', { required: true, max: 80 }),
+        input('b_link_url', 'URL', '', { required: true, max: 512 })
+      );
+  }
+
+  if (action === 'color') {
+    return new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle('Custom colour')
+      .addComponents(
+        input('b_color', 'Hex colour, e.g. #5865F2', session.color != null ? `#${session.color.toString(16).padStart(6, '0')}` : '', {
+          required: true,
+          max: 8,
+        })
+      );
+  }
+
+  return null;
+}
+
+/**
+ * applyBuilderModal
+ * - Copies a submitted builder modal into the session.
+ * - Returns an error string for invalid input (session unchanged), otherwise null.
+ */
+function applyBuilderModal(session, action, index, fields) {
+  const get = (id) => {
+    try {
+      return (fields.getTextInputValue(id) || '').trim();
+    } catch (e) {
+      return '';
+    }
+  };
+  const badUrl = (label, value) => (value && !looksLikeUrl(value) ? `${label} is not a valid http(s) URL.` : null);
+
+  if (action === 'content') {
+    const next = {
+      title: get('b_title'),
+      description: get('b_description').replace(/\\n/g, '\n'),
+      url: get('b_url'),
+      image: get('b_image'),
+      thumbnail: get('b_thumbnail'),
+    };
+    const error = badUrl('Title link', next.url) || badUrl('Image', next.image) || badUrl('Thumbnail', next.thumbnail);
+    if (error) return error;
+    Object.assign(session, next);
+    return null;
+  }
+
+  if (action === 'author') {
+    const name = get('b_author_name');
+    const icon = get('b_author_icon');
+    const url = get('b_author_url');
+    const error = badUrl('Icon', icon) || badUrl('Link', url);
+    if (error) return error;
+    session.author = name ? { name, icon_url: icon, url } : null;
+    return null;
+  }
+
+  if (action === 'footer') {
+    const text = get('b_footer_text');
+    const icon = get('b_footer_icon');
+    const error = badUrl('Icon', icon);
+    if (error) return error;
+    session.footer = text ? { text, icon_url: icon } : null;
+    return null;
+  }
+
+  if (action === 'field' || action === 'editfield') {
+    const name = get('b_field_name');
+    const value = get('b_field_value');
+    const inline = /^(y|yes|true|1)$/i.test(get('b_field_inline'));
+
+    if (action === 'editfield' && !session.fields[index]) return 'That field no longer exists.';
+    if (action === 'editfield' && !name) {
+      session.fields.splice(index, 1);
+      return null;
+    }
+    if (!name || !value) return 'A field needs a name and a value.';
+    if (action === 'field' && session.fields.length >= EMBED_LIMITS.fields) return `Embeds hold at most ${EMBED_LIMITS.fields} fields.`;
+
+    const field = { name, value, inline };
+    if (action === 'editfield') session.fields[index] = field;
+    else session.fields.push(field);
+    return null;
+  }
+
+  if (action === 'link') {
+    const label = get('b_link_label');
+    const url = get('b_link_url');
+    if (!label) return 'A link button needs a label.';
+    if (!looksLikeUrl(url)) return 'The link is not a valid http(s) URL.';
+    if (session.links.length >= BUILDER_MAX_LINKS) return `At most ${BUILDER_MAX_LINKS} link buttons.`;
+    session.links.push({ label, url });
+    return null;
+  }
+
+  if (action === 'color') {
+    const color = parseHexColor(get('b_color'));
+    if (color == null) return 'Colour must be a hex value like `#5865F2`.';
+    session.color = color;
+    return null;
+  }
+
+  return 'Unknown builder step.';
+}
+
+// --------------------
+// Self-assign role panels (role_panels / role_panel_roles tables, /rolepanel)
+// Buttons: rolepanel:<panelId>:<roleId> (toggle). Select menu: rolepanel_select:<panelId> (adds the picked roles)
+// plus rolepanel_edit:<panelId>, which opens the member's own rolepanel_mine:<panelId> select for removing roles.
+// Everything is looked up from SQLite on click, so panels keep working after restarts.
+// --------------------
+
+const ROLE_PANEL_MAX_ROLES = 25;
+const ROLE_PANEL_STYLES = ['buttons', 'select'];
+
+// "@Role, 123..., <@&456...>" -> unique role IDs in order
+function parseRoleList(text) {
+  const ids = String(text || '')
+    .split(/[\s,]+/)
+    .map(extractSnowflake)
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+// Unicode emoji or a custom emoji mention (<:name:id> / <a:name:id>)
+function parsePanelEmoji(value) {
+  const s = String(value || '').trim();
+  if (!s) return null;
+  if (/^<a?:\w{2,32}:\d{17,20}>$/.test(s) || /^\p{Extended_Pictographic}/u.test(s)) return s;
+  return undefined;
+}
+
+// Roles with any of these can't be offered on a panel: self-assigning them would hand out staff powers
+const ROLE_PANEL_BLOCKED_PERMISSIONS = [
+  'Administrator',
+  'ManageGuild',
+  'ManageRoles',
+  'ManageChannels',
+  'ManageWebhooks',
+  'ManageMessages',
+  'ManageThreads',
+  'ManageNicknames',
+  'ManageGuildExpressions',
+  'ManageEvents',
+  'KickMembers',
+  'BanMembers',
+  'ModerateMembers',
+  'MentionEveryone',
+  'ViewAuditLog',
+];
+
+/**
+ * checkPanelRole
+ * - checkAssignableRole, plus: no roles with staff permissions and no roles the bot grants for
+ *   purchases (role_mappings or the verify_role fallback), so a panel can't bypass verification.
+ * - Returns { ok, role, reason } like checkAssignableRole.
+ */
+async function checkPanelRole(guild, roleId, settings) {
+  const check = await checkAssignableRole(guild, roleId);
+  if (!check.ok) return check;
+
+  const { role } = check;
+  const elevated = ROLE_PANEL_BLOCKED_PERMISSIONS.filter((perm) => role.permissions.has(perm, false));
+  if (elevated.length) {
+    return { ok: false, role, reason: `${role} has staff permissions (${elevated.join(', ')}).` };
+  }
+
+  const mapping = await dbGet(`SELECT product_id FROM role_mappings WHERE role_id = ? LIMIT 1`, [role.id]);
+  if (mapping) return { ok: false, role, reason: `${role} is granted for product \`${mapping.product_id}\` (see /rolemap).` };
+  if (settings && settings.verify_role === role.id) {
+    return { ok: false, role, reason: `${role} is the verify_role granted after verification.` };
+  }
+
+  return check;
+}
+
+function getRolePanel(guildId, panelId) {
+  return dbGet(`SELECT * FROM role_panels WHERE id = ? AND guild_id = ?`, [panelId, guildId]);
+}
+
+function getRolePanelRoles(panelId) {
+  return dbAll(`SELECT * FROM role_panel_roles WHERE panel_id = ? ORDER BY position, role_id`, [panelId]);
+}
+
+// Select options for a panel's roles; with a set of held role IDs, those are preselected
+function rolePanelOptions(guild, entries, heldRoleIds = null) {
+  return entries.map((e) => {
+    const option = { label: (e.label || guild.roles.cache.get(e.role_id)?.name || 'Role').slice(0, 80), value: e.role_id };
+    if (e.emoji) option.emoji = e.emoji;
+    if (heldRoleIds) option.default = heldRoleIds.has(e.role_id);
+    return option;
+  });
+}
+
+/**
+ * renderRolePanel
+ * - Message payload for a panel: an embed listing the roles (and the requirement, if any) plus
+ *   up to 5 rows of toggle buttons, or one multi-select menu with an "Edit my roles" button.
+ */
+function renderRolePanel(guild, panel, entries, color) {
+  const labelFor = (e) => (e.label || guild.roles.cache.get(e.role_id)?.name || 'Role').slice(0, 80);
+
+  const lines = entries.map((e) => `${e.emoji ? `${e.emoji} ` : ''}<@&${e.role_id}>${e.label ? ` — ${e.label}` : ''}`);
+  const how =
+    panel.style === 'select'
+      ? 'Pick roles from the menu below to add them; use "Edit my roles" to remove some.'
+      : 'Click a button to add the role, click again to remove it.';
+
+  const embed = new EmbedBuilder()
+    .setTitle(panel.title)
+    .setDescription(
+      [panel.description, lines.join('\n'), `-# ${how}${panel.required_role_id ? ` Requires <@&${panel.required_role_id}>.` : ''}`]
+        .filter(Boolean)
+        .join('\n\n')
+        .slice(0, 4096)
+    )
+    .setColor(color);
+
+  let components;
+  if (panel.style === 'select') {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`rolepanel_select:${panel.id}`)
+      .setPlaceholder('Add roles…')
+      .setMinValues(0)
+      .setMaxValues(entries.length)
+      .addOptions(rolePanelOptions(guild, entries));
+    const edit = new ButtonBuilder()
+      .setCustomId(`rolepanel_edit:${panel.id}`)
+      .setLabel('Edit my roles')
+      .setStyle(ButtonStyle.Secondary);
+    components = [new ActionRowBuilder().addComponents(menu), new ActionRowBuilder().addComponents(edit)];
+  } else {
+    components = [];
+    for (let i = 0; i < entries.length; i += 5) {
+      components.push(
+        new ActionRowBuilder().addComponents(
+          entries.slice(i, i + 5).map((e) => {
+            const button = new ButtonBuilder()
+              .setCustomId(`rolepanel:${panel.id}:${e.role_id}`)
+              .setLabel(labelFor(e))
+              .setStyle(ButtonStyle.Secondary);
+            if (e.emoji) button.setEmoji(e.emoji);
+            return button;
+          })
+        )
+      );
+    }
+  }
+
+  return { embeds: [embed], components, allowedMentions: { parse: [] } };
+}
+
+// The ephemeral select behind "Edit my roles": the member's current panel roles are preselected
+function renderMemberRolePanelMenu(guild, panel, entries, heldRoleIds) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`rolepanel_mine:${panel.id}`)
+    .setPlaceholder('Your roles…')
+    .setMinValues(0)
+    .setMaxValues(entries.length)
+    .addOptions(rolePanelOptions(guild, entries, heldRoleIds));
+  return [new ActionRowBuilder().addComponents(menu)];
+}
+
+/**
+ * refreshRolePanel
+ * - Re-renders a stored panel onto its message (the edit is saved to embed_revisions).
+ * - Returns null on success, otherwise an error message for the admin.
+ */
+async function refreshRolePanel(guild, panel, { editedBy, color }) {
+  const entries = await getRolePanelRoles(panel.id);
+  const channel = await guild.channels.fetch(panel.channel_id).catch(() => null);
+  const message = channel && panel.message_id ? await channel.messages.fetch(panel.message_id).catch(() => null) : null;
+  if (!message) return 'The panel message was deleted. Delete the panel and create it again.';
+
+  try {
+    await editMessageWithHistory(message, renderRolePanel(guild, panel, entries, color), { editedBy, source: 'rolepanel' });
+    return null;
+  } catch (err) {
+    logError(`Failed to update role panel #${panel.id}`, err);
+    return `Discord rejected the update: ${err.message}`;
+  }
+}
+
+function formatRolePanel(panel, roleCount) {
+  const link = panel.message_id ? `https://discord.com/channels/${panel.guild_id}/${panel.channel_id}/${panel.message_id}` : `<#${panel.channel_id}>`;
+  return `**#${panel.id}** ${panel.title} · ${panel.style} · ${roleCount} role(s)${
+    panel.required_role_id ? ` · requires <@&${panel.required_role_id}>` : ''
+  } · ${link}`;
+}
+
+// --------------------
+// Moderation cases (mod_cases table, /case, /modlog)
+// Every /ban, /unban, /timeout, /untimeout and /purge is stored as a numbered case and mirrored to the
+// guild's mod_log_channel; the mirrored embed is kept in sync when a reason is edited.
+// --------------------
+
+const MOD_CASE_ACTIONS = {
+  ban: { label: 'Ban', color: 0xed4245 },
+  unban: { label: 'Unban', color: 0x57f287 },
+  timeout: { label: 'Timeout', color: 0xfee75c },
+  untimeout: { label: 'Timeout removed', color: 0x57f287 },
+  purge: { label: 'Purge', color: 0x5865f2 },
+  warn: { label: 'Warning', color: 0xf0b232 },
+};
+
+// Discord's longest timeout (28 days)
+const MAX_TIMEOUT_SECONDS = 28 * 86400;
+
+function getModCase(guildId, caseNumber) {
+  return dbGet(`SELECT * FROM mod_cases WHERE guild_id = ? AND case_number = ? AND deleted_at IS NULL`, [guildId, caseNumber]);
+}
+
+// Purge cases target a channel, everything else a user
+function modCaseTarget(row) {
+  return row.action === 'purge' ? `<#${row.target_id}>` : `<@${row.target_id}> (\`${row.target_id}\`)`;
+}
+
+function buildModCaseEmbed(row) {
+  const action = MOD_CASE_ACTIONS[row.action] || { label: row.action, color: 0x99aab5 };
+  const embed = new EmbedBuilder()
+    .setTitle(`Case #${row.case_number} · ${action.label}`)
+    .setColor(action.color)
+    .addFields(
+      { name: row.action === 'purge' ? 'Channel' : 'User', value: modCaseTarget(row), inline: true },
+      { name: 'Moderator', value: `<@${row.moderator_id}>`, inline: true }
+    );
+
+  if (row.duration_seconds) embed.addFields({ name: 'Duration', value: formatDuration(row.duration_seconds), inline: true });
+  if (row.details) embed.addFields({ name: 'Details', value: String(row.details).slice(0, 1024) });
+  embed.addFields({ name: 'Reason', value: String(row.reason || 'No reason provided').slice(0, 1024) });
+
+  const created = sqliteTimeToUnix(row.created_at);
+  if (created) embed.setTimestamp(created * 1000);
+  return embed;
+}
+
+/**
+ * createModCase
+ * - Stores a case with the guild's next case number, then mirrors it to the mod_log_channel setting.
+ * - Never throws: the moderation action already happened, so failures are only logged.
+ *   Returns the stored row, or null when it could not be saved.
+ */
+async function createModCase(guild, { action, targetId, moderatorId, reason, durationSeconds = null, details = null }) {
+  let row;
+  try {
+    const { lastID } = await dbRun(
+      `INSERT INTO mod_cases (guild_id, case_number, action, target_id, moderator_id, reason, duration_seconds, details)
+       SELECT ?, COALESCE(MAX(case_number), 0) + 1, ?, ?, ?, ?, ?, ? FROM mod_cases WHERE guild_id = ?`,
+      [guild.id, action, String(targetId), String(moderatorId), reason || null, durationSeconds, details, guild.id]
+    );
+    row = await dbGet(`SELECT * FROM mod_cases WHERE id = ?`, [lastID]);
+  } catch (err) {
+    logError(`Failed to record ${action} case for ${targetId}`, err);
+    return null;
+  }
+
+  try {
+    const { mod_log_channel: logChannelId } = await getGuildSettings(guild.id);
+    if (!logChannelId) return row;
+
+    const channel =
+      client.channels.cache.get(logChannelId) || (await client.channels.fetch(logChannelId).catch(() => null));
+    if (!channel || !channel.isTextBased()) {
+      logError(`Mod-log channel ${logChannelId} not found or not text-based`);
+      return row;
+    }
+
+    const message = await channel.send({ embeds: [buildModCaseEmbed(row)], allowedMentions: { parse: [] } });
+    await dbRun(`UPDATE mod_cases SET log_channel_id = ?, log_message_id = ? WHERE id = ?`, [channel.id, message.id, row.id]);
+    row.log_channel_id = channel.id;
+    row.log_message_id = message.id;
+  } catch (err) {
+    logError(`Failed to post case #${row.case_number} to the mod log`, err);
+  }
+
+  return row;
+}
+
+// " (case #12)" for moderation replies; empty when the case could not be saved
+function modCaseSuffix(row) {
+  return row ? ` (case #${row.case_number})` : '';
+}
+
+/**
+ * timeoutMember / banUser
+ * - The actions behind /timeout and /ban, shared with warning escalation.
+ * - Throw when Discord refuses; otherwise the case is recorded and returned (null if it could not be saved).
+ */
+async function timeoutMember(guild, member, { seconds, reason, moderatorId }) {
+  await member.timeout(seconds * 1000, reason || 'No reason provided');
+  return createModCase(guild, { action: 'timeout', targetId: member.id, moderatorId, reason, durationSeconds: seconds });
+}
+
+// durationSeconds makes it a temporary ban; any earlier temporary ban of the user is replaced either way.
+// Returns { modCase, tempBanError }: tempBanError is set when the end of a temporary ban could not be saved.
+async function banUser(guild, userId, { reason, deleteDays = 0, moderatorId, durationSeconds = null }) {
+  await guild.bans.create(userId, { days: deleteDays, reason: reason || 'No reason provided' });
+  const modCase = await createModCase(guild, {
+    action: 'ban',
+    targetId: userId,
+    moderatorId,
+    reason,
+    durationSeconds,
+    details: deleteDays ? `Deleted ${deleteDays} day(s) of messages` : null,
+  });
+
+  await dbRun(`UPDATE temp_bans SET status = 'REPLACED' WHERE guild_id = ? AND user_id = ? AND status = 'ACTIVE'`, [
+    guild.id,
+    String(userId),
+  ]).catch((err) => logError(`Failed to close earlier temporary bans of ${userId}`, err));
+
+  let tempBanError = null;
+  if (durationSeconds) {
+    await dbRun(
+      `INSERT INTO temp_bans (guild_id, user_id, moderator_id, reason, case_number, ends_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        guild.id,
+        String(userId),
+        String(moderatorId),
+        reason || null,
+        modCase ? modCase.case_number : null,
+        unixToSqliteTime(Math.floor(Date.now() / 1000) + durationSeconds),
+      ]
+    ).catch((err) => {
+      logError(`Failed to schedule the end of ${userId}'s ban; it stays until /unban`, err);
+      tempBanError = err;
+    });
+  }
+
+  return { modCase, tempBanError };
+}
+
+// The mirrored log message of a case, or null when it was never posted or has been deleted
+async function fetchModCaseLogMessage(row) {
+  if (!row.log_channel_id || !row.log_message_id) return null;
+  const channel =
+    client.channels.cache.get(row.log_channel_id) || (await client.channels.fetch(row.log_channel_id).catch(() => null));
+  if (!channel || !channel.isTextBased()) return null;
+  return channel.messages.fetch(row.log_message_id).catch(() => null);
+}
+
+function formatModCase(row) {
+  const created = sqliteTimeToUnix(row.created_at);
+  const action = MOD_CASE_ACTIONS[row.action]?.label || row.action;
+  return `**#${row.case_number}** ${action}${row.duration_seconds ? ` (${formatDuration(row.duration_seconds)})` : ''} · ${
+    created ? `<t:${created}:f>` : row.created_at
+  } · by <@${row.moderator_id}> · ${String(row.reason || 'No reason provided').slice(0, 120)}`;
+}
+
+// --------------------
+// Warnings (warnings table, /warn, /warnings, /clearwarn)
+// Only unexpired warnings count. When a new warning brings the count to a step of the guild's
+// warn_escalation ladder, that step's timeout or ban is applied through the normal /timeout and /ban code.
+// --------------------
+
+const ACTIVE_WARNING_SQL = `(expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`;
+
+function warnStepAction(step) {
+  return step.action === 'ban' ? 'ban' : `timeout ${formatDuration(step.seconds)}`;
+}
+
+function formatWarnStep(step) {
+  return `${step.count} → ${warnStepAction(step)}`;
+}
+
+function getActiveWarnings(guildId, userId) {
+  return dbAll(
+    `SELECT * FROM warnings WHERE guild_id = ? AND user_id = ? AND ${ACTIVE_WARNING_SQL} ORDER BY id`,
+    [guildId, userId]
+  );
+}
+
+function formatWarning(row) {
+  const created = sqliteTimeToUnix(row.created_at);
+  const expires = sqliteTimeToUnix(row.expires_at);
+  return `**#${row.id}** ${created ? `<t:${created}:d>` : row.created_at} · by <@${row.moderator_id}>${
+    row.case_number ? ` · case #${row.case_number}` : ''
+  } · ${expires ? `expires <t:${expires}:R>` : 'never expires'}\n> ${String(row.reason).slice(0, 200)}`;
+}
+
+/**
+ * warnUser
+ * - Stores a warning (and a mod case), applies the escalation step matching the new number of active
+ *   warnings, if any, and DMs the member what actually happened.
+ * - Returns { warning, activeCount, modCase, step, escalation, escalationError, dmSent }.
+ */
+async function warnUser(guild, member, { reason, moderatorId, settings }) {
+  const modCase = await createModCase(guild, { action: 'warn', targetId: member.id, moderatorId, reason });
+
+  const expiresAt = settings.warn_expiry ? unixToSqliteTime(Math.floor(Date.now() / 1000) + settings.warn_expiry) : null;
+  const { lastID } = await dbRun(
+    `INSERT INTO warnings (guild_id, user_id, moderator_id, reason, case_number, expires_at) VALUES (?, ?, ?, ?, ?, ?)`,
+    [guild.id, member.id, String(moderatorId), reason, modCase ? modCase.case_number : null, expiresAt]
+  );
+  const warning = await dbGet(`SELECT * FROM warnings WHERE id = ?`, [lastID]);
+  const activeCount = (await getActiveWarnings(guild.id, member.id)).length;
+
+  const ladder = settings.warn_escalation || [];
+  const step = ladder.find((s) => s.count === activeCount) || null;
+  const next = ladder.find((s) => s.count > activeCount) || null;
+
+  const expires = sqliteTimeToUnix(warning.expires_at);
+  const dm = new EmbedBuilder()
+    .setTitle(`⚠️ You received a warning in ${guild.name}`.slice(0, 256))
+    .setColor(MOD_CASE_ACTIONS.warn.color)
+    .setDescription(String(reason).slice(0, 4096))
+    .addFields(
+      { name: 'Active warnings', value: String(activeCount), inline: true },
+      { name: 'Expires', value: expires ? `<t:${expires}:R>` : 'Never', inline: true }
+    );
+  if (!step && next) {
+    dm.addFields({ name: 'Next step', value: `At ${next.count} active warnings: ${warnStepAction(next)}.` });
+  }
+  const sendDm = () => member.send({ embeds: [dm] }).catch(() => null);
+
+  // A ban ends the shared server, so that DM goes out first and only mentions the ban once it happened
+  let dmMessage = step && step.action === 'ban' ? await sendDm() : null;
+
+  let escalation = null;
+  let escalationError = null;
+  if (step) {
+    const autoReason = `Automatic: ${activeCount} active warnings (latest: ${reason})`.slice(0, 500);
+    try {
+      escalation =
+        step.action === 'ban'
+          ? (await banUser(guild, member.id, { reason: autoReason, moderatorId })).modCase
+          : await timeoutMember(guild, member, { seconds: step.seconds, reason: autoReason, moderatorId });
+      dm.addFields({
+        name: 'Consequence',
+        value: step.action === 'ban' ? 'You have been banned from the server.' : `You have been timed out for ${formatDuration(step.seconds)}.`,
+      });
+    } catch (err) {
+      logError(`Warning escalation (${formatWarnStep(step)}) failed for ${member.id}`, err);
+      escalationError = err;
+    }
+  }
+
+  if (!dmMessage) dmMessage = await sendDm();
+  else if (!escalationError) await dmMessage.edit({ embeds: [dm] }).catch(() => {});
+
+  return { warning, activeCount, modCase, step, escalation, escalationError, dmSent: Boolean(dmMessage) };
+}
+
+// --------------------
+// Image uploads and URL checks (/embed, /embed_simple, /updates, /editembed)
+// Slash command attachments are kept here until the command's modal is submitted; the files are then
+// re-uploaded with the post and referenced from the embed as attachment://<name>.
+// --------------------
+
+const UPLOAD_MAX_BYTES = 8 * 1024 * 1024;
+const UPLOAD_TTL_MS = 15 * 60_000; // modals stay open at most 15 minutes
+const IMAGE_CHECK_TIMEOUT_MS = 8000;
+const pendingUploads = new Map();
+// Modals shown by these commands ("<userId>:<customId>" -> { retryId, modal }), so a submit with
+// broken images can be reopened with the admin's input and the same pending uploads
+const shownImageModals = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const map of [pendingUploads, shownImageModals]) {
+    for (const [k, v] of map.entries()) {
+      if (now - v.createdAt > UPLOAD_TTL_MS) map.delete(k);
+    }
+  }
+}, COOLDOWN_PRUNE_INTERVAL_MS);
+
+// An http(s) image URL or a reference to a file uploaded with the same message
+function isImageRef(s) {
+  return looksLikeUrl(s) || /^attachment:\/\/[\w.-]+$/.test(String(s || '').trim());
+}
+
+/**
+ * stashUploads
+ * - Reads the given attachment options ({ slot: optionName }) of a command.
+ * - Returns { key, uploads } (key '' when nothing was attached) or { error } for non-images / oversize files.
+ */
+function stashUploads(interaction, optionsBySlot) {
+  const uploads = {};
+
+  for (const [slot, optionName] of Object.entries(optionsBySlot)) {
+    const att = interaction.options.getAttachment(optionName, false);
+    if (!att) continue;
+    if (!String(att.contentType || '').startsWith('image/')) {
+      return { error: `\`${att.name}\` is not an image (${att.contentType || 'unknown type'}).` };
+    }
+    if (att.size > UPLOAD_MAX_BYTES) {
+      return { error: `\`${att.name}\` is larger than ${UPLOAD_MAX_BYTES / 1024 / 1024} MB.` };
+    }
+    const safeName = String(att.name || 'image').replace(/[^\w.-]/g, '_').slice(-60);
+    uploads[slot] = { url: att.url, name: `${slot}-${safeName}` };
+  }
+
+  if (!Object.keys(uploads).length) return { key: '', uploads };
+
+  const key = crypto.randomBytes(3).toString('hex');
+  pendingUploads.set(key, { userId: interaction.user.id, uploads, createdAt: Date.now() });
+  return { key, uploads };
+}
+
+// { files: [{ slot, name }] } for the uploads under key without consuming them (or { error }),
+// so a modal can resolve attachment:// references and check its URLs before anything is downloaded
+function peekUploads(key, userId) {
+  if (!key) return { files: [] };
+
+  const pending = pendingUploads.get(key);
+  if (!pending || pending.userId !== userId) {
+    return { error: 'The uploaded image(s) expired. Run the command again with the attachments.' };
+  }
+  return { files: Object.entries(pending.uploads).map(([slot, upload]) => ({ slot, name: upload.name })) };
+}
+
+/**
+ * takeUploads
+ * - Downloads the files stashed under key (once) for the modal submit.
+ * - Returns { files: [{ slot, name, data (Buffer) }] } or { error }.
+ */
+async function takeUploads(key, userId) {
+  if (!key) return { files: [] };
+
+  const pending = pendingUploads.get(key);
+  pendingUploads.delete(key);
+  if (!pending || pending.userId !== userId) {
+    return { error: 'The uploaded image(s) expired. Run the command again with the attachments.' };
+  }
+
+  const files = [];
+  for (const [slot, upload] of Object.entries(pending.uploads)) {
+    try {
+      const resp = await axios.get(upload.url, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: UPLOAD_MAX_BYTES,
+      });
+      files.push({ slot, name: upload.name, data: Buffer.from(resp.data) });
+    } catch (err) {
+      logError(`Failed to download upload ${upload.name}`, err.message || err);
+      return { error: `Could not download \`${upload.name}\` from Discord. Try again.` };
+    }
+  }
+
+  return { files };
+}
+
+// attachment:// reference for a slot's upload, or null
+function uploadRef(files, slot) {
+  const file = (files || []).find((f) => f.slot === slot);
+  return file ? `attachment://${file.name}` : null;
+}
+
+function filesToAttachments(files) {
+  return (files || []).map((f) => new AttachmentBuilder(f.data, { name: f.name }));
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges: an admin-supplied image URL
+// must not make the bot probe its own host or network
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for image checks that fails when a host resolves to a private address
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const IMAGE_CHECK_MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const imageCheckRequestOptions = {
+  timeout: IMAGE_CHECK_TIMEOUT_MS,
+  maxRedirects: 0,
+  validateStatus: () => true,
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+};
+
+// IP literals never go through the lookup, so they are checked here (on every redirect hop)
+function unsafeImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'is not an http(s) URL';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) return 'points to a private or local address';
+  return null;
+}
+
+/**
+ * checkImageUrl
+ * - HEAD request (GET of the first byte when HEAD is refused) to make sure the URL serves an image.
+ * - Redirects are followed by hand so every hop is checked; private and local addresses are refused.
+ * - Returns null when it does, otherwise a short reason ("returned HTTP 404", "is text/html, not an image").
+ */
+async function checkImageUrl(url) {
+  let target = url;
+  let resp;
+
+  for (let hop = 0; ; hop++) {
+    const unsafe = unsafeImageUrl(target);
+    if (unsafe) return unsafe;
+
+    try {
+      resp = await axios.head(target, imageCheckRequestOptions);
+      if (!REDIRECT_STATUSES.has(resp.status) && (resp.status >= 400 || !resp.headers['content-type'])) {
+        resp = await axios.get(target, { ...imageCheckRequestOptions, responseType: 'stream', headers: { Range: 'bytes=0-0' } });
+        if (resp.data && typeof resp.data.destroy === 'function') resp.data.destroy();
+      }
+    } catch (err) {
+      if (err.code === 'EPRIVATE') return 'points to a private or local address';
+      return `could not be reached (${err.code || err.message})`;
+    }
+
+    if (!REDIRECT_STATUSES.has(resp.status) || !resp.headers.location) break;
+    if (hop >= IMAGE_CHECK_MAX_REDIRECTS) return 'redirects too many times';
+    try {
+      target = new URL(resp.headers.location, target).href;
+    } catch (e) {
+      return 'redirects to an invalid URL';
+    }
+  }
+
+  if (resp.status >= 400) return `returned HTTP ${resp.status}`;
+  const type = String(resp.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!type.startsWith('image/')) return `is ${type || 'an unknown content type'}, not an image`;
+  return null;
+}
+
+/**
+ * findBrokenImages
+ * - entries: [[label, value]]; blank values and attachment:// references are skipped.
+ * - Returns one line per problem (empty array when every image is fine), for the admin's error reply.
+ */
+async function findBrokenImages(entries) {
+  const checks = entries
+    .filter(([, value]) => value && !value.startsWith('attachment://'))
+    .map(async ([label, value]) => {
+      if (!looksLikeUrl(value)) return `• ${label} is not a valid http(s) URL.`;
+      const reason = await checkImageUrl(value.trim());
+      return reason ? `• ${label} (<${value.slice(0, 200)}>) ${reason}.` : null;
+    });
+
+  return (await Promise.all(checks)).filter(Boolean);
+}
+
+async function showImageModal(interaction, modal) {
+  shownImageModals.set(`${interaction.user.id}:${modal.data.custom_id}`, {
+    retryId: crypto.randomBytes(4).toString('hex'),
+    modal: modal.toJSON(),
+    createdAt: Date.now(),
+  });
+  await interaction.showModal(modal);
+}
+
+/**
+ * brokenImagesReply
+ * - Reply options for a modal submit whose images failed findBrokenImages.
+ * - When the modal was shown through showImageModal, adds a button that reopens it filled with the
+ *   submitted values (the uploads are still pending, so nothing has to be attached again).
+ */
+function brokenImagesReply(interaction, problems) {
+  const content = `❌ Some images are not usable, so nothing was changed. Fix them and try again:\n${problems.join('\n')}`.slice(0, 2000);
+
+  const shown = shownImageModals.get(`${interaction.user.id}:${interaction.customId}`);
+  if (!shown) return { content };
+
+  for (const row of shown.modal.components) {
+    for (const input of row.components) {
+      let value = '';
+      try {
+        value = interaction.fields.getTextInputValue(input.custom_id);
+      } catch (fieldErr) {
+        // Field missing from the submit: keep what the modal had
+        continue;
+      }
+      if (value) input.value = value;
+      else delete input.value;
+    }
+  }
+  shown.createdAt = Date.now();
+
+  const retry = new ButtonBuilder()
+    .setCustomId(`imgretry:${shown.retryId}`)
+    .setLabel('Fix and retry')
+    .setStyle(ButtonStyle.Primary);
+  return { content, components: [new ActionRowBuilder().addComponents(retry)] };
+}
+
+// --------------------
+// Embed posts (/embed, /embed_simple, /updates) and the scheduled post job
+// Payloads are plain objects so a post can be stored in scheduled_posts and built later.
+// --------------------
+
+const SCHEDULE_CHECK_INTERVAL_MS = 30_000;
+const SCHEDULE_MAX_AHEAD_SECONDS = 366 * 86400;
+let scheduledPostJobRunning = false;
+
+/**
+ * buildPostEmbeds
+ * - kind 'embed': { title, description, images[], thumbnail?, color? } — one embed, or a text embed
+ *   plus image-only embeds. thumbnail/color come from a template.
+ * - kind 'embed_simple': { title, description, image, thumbnail }
+ * - kind 'updates': { description, image1, image2 } with the updates title and rights line.
+ * - All take authorDisplayName; lines are stamped and placeholders filled when the post is built.
+ * - Image fields may be attachment://<name> references to uploaded files sent with the post (see takeUploads).
+ */
+function buildPostEmbeds(kind, payload, settings, guild = null) {
+  const { authorDisplayName } = payload;
+  const fill = (text) => fillPlaceholders(text, { guild, userName: authorDisplayName });
+
+  if (kind === 'updates') {
+    return [
+      buildEmbed({
+        title: '🧊𝐔𝐩𝐝𝐚𝐭𝐞𝐬🧊',
+        description: fill(payload.description),
+        imageUrl: isImageRef(payload.image1) ? payload.image1 : null,
+        thumbnailUrl: isImageRef(payload.image2) ? payload.image2 : null,
+        authorDisplayName,
+        mode: 'updates',
+        color: settings.embed_color,
+        brandName: settings.brand_name,
+      }),
+    ];
+  }
+
+  if (kind === 'embed_simple') {
+    return [
+      buildEmbed({
+        title: fill(payload.title),
+        description: fill(payload.description),
+        imageUrl: isImageRef(payload.image) ? payload.image : null,
+        thumbnailUrl: isImageRef(payload.thumbnail) ? payload.thumbnail : null,
+        authorDisplayName,
+        mode: 'submit',
+        color: settings.embed_color,
+      }),
+    ];
+  }
+
+  const images = (payload.images || []).filter(isImageRef);
+  const color = parseHexColor(payload.color) ?? settings.embed_color;
+  const embeds = [
+    buildEmbed({
+      title: fill(payload.title),
+      description: fill(payload.description),
+      imageUrl: images.length === 1 ? images[0] : null,
+      thumbnailUrl: isImageRef(payload.thumbnail) ? payload.thumbnail : null,
+      authorDisplayName,
+      mode: 'submit',
+      color,
+    }),
+  ];
+
+  // Several images: title + description first, then image-only embeds
+  if (images.length > 1) {
+    for (const img of images) embeds.push(new EmbedBuilder().setColor(color).setImage(img));
+  }
+
+  return embeds;
+}
+
+// Uploaded files go with the first chunk, which holds every embed the post commands build
+async function sendEmbedsInChunks(channel, embeds, files = []) {
+  const chunkSize = 10;
+  for (let i = 0; i < embeds.length; i += chunkSize) {
+    await channel.send({
+      embeds: embeds.slice(i, i + chunkSize),
+      files: i === 0 ? files : [],
+      allowedMentions: { parse: [] },
+    });
+  }
+}
+
+/**
+ * scheduleTimeOption
+ * - Reads the optional `schedule` option of a command.
+ * - Returns { postAt: null } when absent, { postAt, timeZone } when valid, { error } otherwise.
+ */
+function scheduleTimeOption(interaction) {
+  const raw = interaction.options.getString('schedule', false);
+  if (!raw || !raw.trim()) return { postAt: null };
+
+  const parsed = parseScheduleTime(raw);
+  if (parsed.error) return parsed;
+
+  const error = scheduleWindowError(parsed.postAt);
+  return error ? { error } : parsed;
+}
+
+// Also checked when /scheduled edit moves a post
+function scheduleWindowError(postAt) {
+  const now = Math.floor(Date.now() / 1000);
+  if (postAt <= now + 30) return `<t:${postAt}:F> is not in the future.`;
+  if (postAt > now + SCHEDULE_MAX_AHEAD_SECONDS) return 'Posts can be scheduled at most a year ahead.';
+  return null;
+}
+
+// Modal IDs carry "<postAt>~<timeZone>" when the command had a schedule (zone URI-encoded: offsets contain ':')
+function encodeSchedule(schedule) {
+  return schedule && schedule.postAt ? `${schedule.postAt}~${encodeURIComponent(schedule.timeZone)}` : '';
+}
+
+function decodeSchedule(value) {
+  if (!value) return null;
+  const [postAt, timeZone] = value.split('~');
+  const n = parseInt(postAt, 10);
+  return n > 0 ? { postAt: n, timeZone: timeZone ? decodeURIComponent(timeZone) : 'UTC' } : null;
+}
+
+// "prefix:part:part" without trailing empty parts; drops the zone if Discord's 100-char limit is hit
+function buildModalId(...parts) {
+  const id = parts.join(':').replace(/:+$/, '');
+  return id.length <= 100 ? id : id.replace(/~[^:]*/, '');
+}
+
+// payload.files (uploads) are stored in scheduled_post_files, not in the payload JSON
+async function createScheduledPost({ guildId, kind, channelId = null, payload, schedule, createdBy }) {
+  const { files = [], ...stored } = payload;
+  const { lastID } = await dbRun(
+    `
+      INSERT INTO scheduled_posts (guild_id, kind, channel_id, payload, post_at, timezone, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      String(guildId),
+      kind,
+      channelId,
+      JSON.stringify(stored),
+      unixToSqliteTime(schedule.postAt),
+      schedule.timeZone,
+      String(createdBy),
+    ]
+  );
+
+  try {
+    for (const file of files) {
+      await dbRun(`INSERT INTO scheduled_post_files (post_id, name, data) VALUES (?, ?, ?)`, [lastID, file.name, file.data]);
+    }
+  } catch (err) {
+    await dropScheduledPostFiles(lastID);
+    await dbRun(`DELETE FROM scheduled_posts WHERE id = ?`, [lastID]).catch(() => {});
+    throw err;
+  }
+  return lastID;
+}
+
+function dropScheduledPostFiles(postId) {
+  return dbRun(`DELETE FROM scheduled_post_files WHERE post_id = ?`, [postId]).catch((err) =>
+    logError(`Failed to delete the files of scheduled post #${postId}`, err)
+  );
+}
+
+function scheduledReply(id, schedule, target) {
+  return `🗓️ Scheduled post #${id} for ${target} at <t:${schedule.postAt}:F> (<t:${schedule.postAt}:R>). Manage it with \`/scheduled\`.`;
+}
+
+const SCHEDULED_KIND_LABELS = { embed: 'Embed', embed_simple: 'Simple embed', updates: 'Update' };
+
+// Editable payload fields per kind for /scheduled edit: [payload key, label, style, required]
+const SCHEDULED_EDIT_FIELDS = {
+  embed: [
+    ['title', 'Title (optional)', TextInputStyle.Short, false],
+    ['description', 'Description (optional)', TextInputStyle.Paragraph, false],
+    ['images', `Image URLs, one per line (max ${MAX_IMAGES})`, TextInputStyle.Paragraph, false],
+  ],
+  embed_simple: [
+    ['title', 'Title (optional)', TextInputStyle.Short, false],
+    ['description', 'Description (optional)', TextInputStyle.Paragraph, false],
+    ['image', 'Image URL (optional)', TextInputStyle.Short, false],
+    ['thumbnail', 'Thumbnail URL (optional)', TextInputStyle.Short, false],
+  ],
+  updates: [
+    ['description', 'Update content', TextInputStyle.Paragraph, true],
+    ['image1', 'Image URL 1 (optional)', TextInputStyle.Short, false],
+    ['image2', 'Image URL 2 (optional)', TextInputStyle.Short, false],
+  ],
+};
+
+function formatScheduledPost(row) {
+  const payload = JSON.parse(row.payload || '{}');
+  const ts = sqliteTimeToUnix(row.post_at);
+  const target = row.kind === 'updates' ? 'updates channels' : `<#${row.channel_id}>`;
+  const preview = (payload.title || payload.description || '').replace(/\s+/g, ' ').slice(0, 60);
+
+  return `**#${row.id}** · ${SCHEDULED_KIND_LABELS[row.kind] || row.kind} → ${target} · <t:${ts}:f> (<t:${ts}:R>) · by <@${row.created_by}>${
+    preview ? `\n> ${preview}` : ''
+  }`;
+}
+
+async function reportScheduledPostFailure(guild, row, error) {
+  logError(`Scheduled post #${row.id} failed`, error);
+  if (!guild) return;
+
+  await sendStaffEmbed(
+    guild,
+    new EmbedBuilder()
+      .setTitle('🗓️ Scheduled post failed')
+      .setDescription(`${formatScheduledPost(row)}\n\n${error.slice(0, 3000)}`)
+      .setColor(0xed4245)
+      .setTimestamp()
+  );
+}
+
+/**
+ * publishScheduledPost
+ * - Builds the stored post with the guild's current settings and sends it.
+ * - The row must already be claimed (SENDING) by processScheduledPosts.
+ * - Marks the row POSTED or FAILED (with the error); failures are reported to the staff channel.
+ */
+async function publishScheduledPost(row) {
+  const guild = client.guilds.cache.get(row.guild_id);
+  let error = null;
+
+  try {
+    if (!guild) throw new Error('Bot is no longer in this server');
+
+    const settings = await getGuildSettings(guild.id);
+    const payload = JSON.parse(row.payload);
+    const embeds = buildPostEmbeds(row.kind, payload, settings, guild);
+    const files = filesToAttachments(await dbAll(`SELECT name, data FROM scheduled_post_files WHERE post_id = ?`, [row.id]));
+
+    if (row.kind === 'updates') {
+      const report = await postUpdateToTargets(guild, settings.updates_channels, embeds[0], files);
+      if (!report.some((r) => r.ok)) error = report.map((r) => r.line).join('\n') || 'No updates channel configured';
+    } else {
+      const channel =
+        guild.channels.cache.get(row.channel_id) || (await guild.channels.fetch(row.channel_id).catch(() => null));
+      if (!channel || channel.type !== ChannelType.GuildText) throw new Error('Target channel not found or not a text channel');
+      await sendEmbedsInChunks(channel, embeds, files);
+    }
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  await dbRun(
+    `UPDATE scheduled_posts SET status = ?, posted_at = CURRENT_TIMESTAMP, error = ? WHERE id = ?`,
+    [error ? 'FAILED' : 'POSTED', error ? error.slice(0, 1000) : null, row.id]
+  );
+  await dropScheduledPostFiles(row.id);
+
+  if (!error) {
+    logInfo(`Scheduled post #${row.id} (${row.kind}) published in guild ${row.guild_id}`);
+    return;
+  }
+
+  await reportScheduledPostFailure(guild, row, error);
+}
+
+async function processScheduledPosts() {
+  if (scheduledPostJobRunning) return;
+  scheduledPostJobRunning = true;
+
+  try {
+    const due = await dbAll(
+      `SELECT * FROM scheduled_posts WHERE status = 'PENDING' AND post_at <= CURRENT_TIMESTAMP ORDER BY post_at, id`
+    );
+    for (const row of due) {
+      // Claim the row first: a crash mid-send then leaves it SENDING instead of posting it twice
+      const { changes } = await dbRun(`UPDATE scheduled_posts SET status = 'SENDING' WHERE id = ? AND status = 'PENDING'`, [
+        row.id,
+      ]);
+      if (changes) await publishScheduledPost(row);
+    }
+  } catch (err) {
+    logError('Scheduled post job failed', err);
+  } finally {
+    scheduledPostJobRunning = false;
+  }
+}
+
+/**
+ * failInterruptedScheduledPosts
+ * - Posts still SENDING at startup were cut off by a crash or restart and may already be in the channel.
+ *   They are marked FAILED and reported to staff instead of being sent again.
+ */
+async function failInterruptedScheduledPosts() {
+  const error = 'The bot stopped while posting this; check the channel before posting it again';
+  const rows = await dbAll(`SELECT * FROM scheduled_posts WHERE status = 'SENDING'`);
+
+  for (const row of rows) {
+    await dbRun(`UPDATE scheduled_posts SET status = 'FAILED', error = ? WHERE id = ? AND status = 'SENDING'`, [
+      error,
+      row.id,
+    ]);
+    await dropScheduledPostFiles(row.id);
+    await reportScheduledPostFailure(client.guilds.cache.get(row.guild_id), row, error);
+  }
+}
+
+function startScheduledPostJob() {
+  setInterval(() => {
+    processScheduledPosts().catch((err) => logError('Scheduled post job failed', err));
+  }, SCHEDULE_CHECK_INTERVAL_MS);
+
+  // Publish anything that came due while the bot was offline
+  failInterruptedScheduledPosts()
+    .catch((err) => logError('Failed to check interrupted scheduled posts', err))
+    .then(() => processScheduledPosts())
+    .catch((err) => logError('Scheduled post job failed', err));
+}
+
+// --------------------
+// Temporary bans (temp_bans table, /ban duration:<3d>, /tempbans)
+// The job lifts every ban whose end has passed, including ones that came due while the bot was offline.
+// --------------------
+
+const TEMP_BAN_CHECK_INTERVAL_MS = 60_000;
+const TEMP_BAN_MAX_SECONDS = 365 * 86400;
+const UNKNOWN_BAN_ERROR_CODE = 10026;
+// Failed lifts are retried after 1, 2, 4… minutes (at most 6 hours apart) before the row is given up
+const TEMP_BAN_MAX_ATTEMPTS = 12;
+const TEMP_BAN_MAX_RETRY_DELAY_SECONDS = 6 * 3600;
+// Unknown Guild, Unknown User, Missing Access, Missing Permissions: retrying won't help
+const PERMANENT_UNBAN_ERROR_CODES = [10004, 10013, 50001, 50013];
+let tempBanJobRunning = false;
+
+/**
+ * liftTempBan
+ * - Unbans the user of a due temp_bans row and records an unban case.
+ * - Transient failures (guild unavailable or not cached, network or Discord errors) keep the row ACTIVE
+ *   with a later next_attempt_at; permanent errors or too many attempts mark it FAILED and alert staff.
+ */
+async function liftTempBan(row) {
+  const guild = client.guilds.cache.get(row.guild_id);
+  const caseRef = row.case_number ? ` (case #${row.case_number})` : '';
+  let error = null;
+  let permanent = false;
+
+  try {
+    if (!guild || !guild.available) throw new Error('Server is unavailable or not cached yet');
+    await guild.bans.remove(row.user_id, `Temporary ban ended${caseRef}`).catch((err) => {
+      // Already unbanned by hand in Discord: nothing left to lift
+      if (err.code !== UNKNOWN_BAN_ERROR_CODE) throw err;
+    });
+  } catch (err) {
+    error = err.message || String(err);
+    permanent = PERMANENT_UNBAN_ERROR_CODES.includes(err.code);
+  }
+
+  const attempts = (row.attempts || 0) + 1;
+  if (error && !permanent && attempts < TEMP_BAN_MAX_ATTEMPTS) {
+    const delaySeconds = Math.min(60 * 2 ** (attempts - 1), TEMP_BAN_MAX_RETRY_DELAY_SECONDS);
+    await dbRun(
+      `UPDATE temp_bans SET attempts = ?, next_attempt_at = datetime('now', ?), error = ? WHERE id = ?`,
+      [attempts, `+${delaySeconds} seconds`, error.slice(0, 1000), row.id]
+    );
+    logError(
+      `Failed to lift temporary ban #${row.id} of ${row.user_id} (attempt ${attempts}, retrying in ${formatDuration(delaySeconds)})`,
+      error
+    );
+    return;
+  }
+
+  await dbRun(`UPDATE temp_bans SET status = ?, lifted_at = CURRENT_TIMESTAMP, attempts = ?, error = ? WHERE id = ?`, [
+    error ? 'FAILED' : 'LIFTED',
+    attempts,
+    error ? error.slice(0, 1000) : null,
+    row.id,
+  ]);
+
+  if (!error) {
+    logInfo(`Temporary ban of ${row.user_id} lifted in guild ${row.guild_id}${caseRef}`);
+    await createModCase(guild, {
+      action: 'unban',
+      targetId: row.user_id,
+      moderatorId: client.user.id,
+      reason: `Temporary ban ended${caseRef}`,
+    });
+    return;
+  }
+
+  logError(`Gave up lifting temporary ban #${row.id} of ${row.user_id} after ${attempts} attempt(s)`, error);
+  if (guild) {
+    await sendStaffEmbed(
+      guild,
+      new EmbedBuilder()
+        .setTitle('⛔ Temporary ban could not be lifted')
+        .setDescription(`<@${row.user_id}> (\`${row.user_id}\`)${caseRef} is still banned.\n\n${error.slice(0, 3000)}`)
+        .setColor(0xed4245)
+        .setTimestamp()
+    );
+  }
+}
+
+async function processTempBans() {
+  if (tempBanJobRunning) return;
+  tempBanJobRunning = true;
+
+  try {
+    const due = await dbAll(
+      `SELECT * FROM temp_bans
+       WHERE status = 'ACTIVE' AND ends_at <= CURRENT_TIMESTAMP
+         AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+       ORDER BY ends_at, id`
+    );
+    for (const row of due) await liftTempBan(row);
+  } catch (err) {
+    logError('Temporary ban job failed', err);
+  } finally {
+    tempBanJobRunning = false;
+  }
+}
+
+function startTempBanJob() {
+  setInterval(() => {
+    processTempBans().catch((err) => logError('Temporary ban job failed', err));
+  }, TEMP_BAN_CHECK_INTERVAL_MS);
+
+  // Lift anything that ended while the bot was offline
+  processTempBans().catch((err) => logError('Temporary ban job failed', err));
+}
+
+// --------------------
+// Client events & interactions
+// --------------------
+
+// Presence is bot-wide, so it follows the primary guild's settings (env defaults otherwise)
+function applyPresence(settings) {
+  try {
+    const type = resolveActivityType(settings.activity_mode);
+    const status = resolveStatus(settings.status);
+    const prefix = sessionPrefix(settings.session_style);
+
+    const nameBase = settings.activity_name || 'ICE R6S';
+
+    const activity = {
+      name: prefix ? `${prefix} ${nameBase}` : nameBase,
+      type,
+    };
+
+    if (type === ActivityType.Streaming && settings.stream_url) {
+      activity.url = settings.stream_url;
+    }
+
+    client.user.setPresence({
+      status,
+      activities: [activity],
+    });
+  } catch (e) {
+    // ignore presence errors
+  }
+}
+
+client.once(Events.ClientReady, async () => {
+  logInfo(`Logged in as ${client.user.tag}`);
+
+  for (const guild of client.guilds.cache.values()) {
+    await seedGuildSettings(guild.id);
+  }
+
+  applyPresence(await getGuildSettings(resolvePrimaryGuild()?.id));
+
+  await backfillGuildIds().catch((err) => logError('Failed to assign old rows to their server', err));
+
+  startWebhookServer();
+  startInvoiceRecheckJob();
+  startSubscriptionJob();
+  startScheduledPostJob();
+  startTempBanJob();
+});
+
+client.on(Events.GuildCreate, (guild) => {
+  seedGuildSettings(guild.id).catch((err) => logError(`Failed to seed settings for ${guild.id}`, err));
+});
+
+// Unbanned outside /unban (e.g. in Discord's ban list): the temporary ban is over, so the job must not
+// lift a later manual ban of the same user
+client.on(Events.GuildBanRemove, async (ban) => {
+  try {
+    const { changes } = await dbRun(
+      `UPDATE temp_bans SET status = 'UNBANNED', lifted_at = CURRENT_TIMESTAMP
+       WHERE guild_id = ? AND user_id = ? AND status = 'ACTIVE'`,
+      [ban.guild.id, ban.user.id]
+    );
+    if (changes) logInfo(`Temporary ban of ${ban.user.id} closed: unbanned in guild ${ban.guild.id}`);
+  } catch (err) {
+    logError(`Failed to close temporary bans of ${ban.user.id}`, err);
+  }
+});
+
+// Re-add verified roles when a customer rejoins the server
+client.on(Events.GuildMemberAdd, async (member) => {
+  try {
+    if (member.user?.bot) return;
+
+    const placeholders = INACTIVE_VERIFICATION_STATUSES.map(() => '?').join(', ');
+    const rows = await dbAll(
+      `
+        SELECT DISTINCT role_id FROM verifications
+        WHERE discord_id = ?
+          AND role_id IS NOT NULL
+          AND UPPER(status) NOT IN (${placeholders})
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      `,
+      [String(member.id), ...INACTIVE_VERIFICATION_STATUSES]
+    );
+
+    if (rows.length === 0) return;
+
+    const restored = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      // Records are global; roles from another server simply won't resolve here
+      if (!member.guild.roles.cache.has(row.role_id)) continue;
+      if (member.roles.cache.has(row.role_id)) continue;
+
+      const check = await checkAssignableRole(member.guild, row.role_id);
+      if (!check.ok) {
+        skipped.push(`${row.role_id} (${check.reason})`);
+        continue;
+      }
+
+      try {
+        await member.roles.add(check.role, 'Restoring verified role after rejoin');
+        restored.push(`${check.role.name} (${check.role.id})`);
+      } catch (addErr) {
+        logError(`Failed to restore role ${row.role_id} for ${member.user.tag}`, addErr);
+        skipped.push(`${row.role_id} (add failed)`);
+      }
+    }
+
+    if (restored.length > 0) {
+      logInfo(`Restored roles for ${member.user.tag} (${member.id}) on rejoin: ${restored.join(', ')}`);
+    }
+    if (skipped.length > 0) {
+      logInfo(`Could not restore roles for ${member.user.tag} (${member.id}): ${skipped.join(', ')}`);
+    }
+  } catch (err) {
+    logError('GuildMemberAdd role restore failed', err);
+  }
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    // Template name suggestions for /embed template and /template save|delete
+    if (interaction.isAutocomplete()) {
+      const focused = String(interaction.options.getFocused() || '').trim().toLowerCase();
+      const rows = await dbAll(`SELECT name FROM embed_templates WHERE guild_id = ? ORDER BY name`, [
+        interaction.guildId,
+      ]).catch(() => []);
+      const choices = rows
+        .filter((r) => r.name.includes(focused))
+        .slice(0, 25)
+        .map((r) => ({ name: r.name, value: r.name }));
+      return interaction.respond(choices).catch(() => {});
+    }
+
+    const settings = await getGuildSettings(interaction.guildId);
+
+    if (interaction.isChatInputCommand()) {
+      const { commandName } = interaction;
+
+      // /editembed
+      if (commandName === 'editembed') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const targetChannel = interaction.options.getChannel('channel', true);
+        const messageId = interaction.options.getString('message_id', true);
+        const channel = targetChannel;
+
+        if (!channel || channel.type !== ChannelType.GuildText) {
+          return interaction.reply({ content: 'Invalid channel.', flags: 64 });
+        }
+
+        const message = await channel.messages.fetch(messageId).catch(() => null);
+        if (!message)
+          return interaction.reply({ content: 'Message not found.', flags: 64 });
+
+        if (message.author?.id !== client.user.id)
+          return interaction.reply({
+            content: 'I can only edit embeds that I sent.',
+            flags: 64,
+          });
+
+        if (!message.embeds || message.embeds.length === 0)
+          return interaction.reply({ content: 'Message has no embeds to edit.', flags: 64 });
+
+        const upload = stashUploads(interaction, { image1: 'image_file_1', image2: 'image_file_2', image3: 'image_file_3' });
+        if (upload.error) return interaction.reply({ content: `❌ ${upload.error}`, flags: 64 });
+
+        // Pre-filled from the current embed; a blank field keeps the current value, "-" clears it.
+        // Slots with an upload start blank: blank then means "use the uploaded file".
+        const current = readEditableEmbed(message);
+
+        const modal = new ModalBuilder()
+          .setCustomId(buildModalId('editembedModal', channel.id, message.id, upload.key))
+          .setTitle('Edit Embed (Title, Description, Image1-3)');
+
+        const titleInput = new TextInputBuilder()
+          .setCustomId('edit_title')
+          .setLabel('Title (blank = keep, "-" = remove)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (current.title) titleInput.setValue(current.title);
+
+        const descriptionInput = new TextInputBuilder()
+          .setCustomId('edit_description')
+          .setLabel('Description (blank = keep, "-" = remove)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false);
+        if (current.body.length > 4000) descriptionInput.setPlaceholder('Too long to show here; leave blank to keep it.');
+        else if (current.body) descriptionInput.setValue(current.body);
+
+        const imageInputs = [1, 2, 3].map((i) => {
+          const input = new TextInputBuilder()
+            .setCustomId(`edit_image_${i}`)
+            .setLabel(`Image URL ${i} (blank = keep, "-" = remove)`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setPlaceholder('https://...');
+          const uploaded = upload.uploads[`image${i}`];
+          if (uploaded) input.setPlaceholder(`Blank = uploaded ${uploaded.name}`.slice(0, 100));
+          else if (current.images[i - 1]) input.setValue(current.images[i - 1]);
+          return input;
+        });
+
+        const rows = [
+          new ActionRowBuilder().addComponents(titleInput),
+          new ActionRowBuilder().addComponents(descriptionInput),
+          ...imageInputs.map((input) => new ActionRowBuilder().addComponents(input)),
+        ];
+
+        modal.addComponents(...rows.slice(0, MODAL_MAX_COMPONENTS));
+        await showImageModal(interaction, modal);
+        return;
+      }
+// Verify embed block (replace existing verifyemb handler with this)
+if (commandName === 'verifyemb') {
+  if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+    return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+  }
+
+  const descriptionText = [
+    '**How verification works**',
+    '',
+    '1. Click **Verify Invoice** below.',
+    `2. Enter your invoice ID from our ${settings.store_url ? `[Store](${settings.store_url})` : 'Store'} when prompted (example: \`2711846\`).`,
+    '3. The bot will check the invoice status with our Store and, if eligible, assign the Customer role automatically.',
+    '',
+    '**What qualifies**',
+    '- Only completed/paid invoices are accepted. Typical accepted statuses: PAID, COMPLETED, FULFILLED, SUCCESS.',
+    '',
+    '**What to expect**',
+    '- If verification succeeds you will receive a confirmation message and the role will be added to your account.',
+    '- If verification fails, the bot will explain why (invalid invoice, unpaid status, or already used).',
+    '',
+    '**Privacy & storage**',
+    '- Invoice IDs are stored only to prevent reuse and to reassign roles if you rejoin the server.',
+    '- No personal payment details are stored by this bot; only the invoice identifier and verification metadata are kept.',
+    '',
+    '**Troubleshooting**',
+    '- Double-check the invoice ID you enter (no extra spaces).',
+    '- If the invoice is recent, allow a few minutes for payment processing before verifying.',
+    '- If you see "already used", contact staff with proof of purchase so they can investigate.',
+    '',
+    '**Need help?**',
+    '- If verification fails or you need manual assistance, please open a ticket or contact a staff member with your invoice ID and order details.',
+    '',
+    'By verifying you confirm you own the invoice and agree to server staff reviewing verification records if needed.'
+  ].join('\n');
+
+  const embed = new EmbedBuilder()
+    .setTitle('🔒 Invoice Verification')
+    .setDescription(descriptionText)
+    .setColor(settings.embed_color);
+
+  // Pinned panels carry their provider in the button ID; unpinned ones follow VERIFY_PROVIDER
+  const providerOpt = interaction.options.getString('provider');
+
+  const button = new ButtonBuilder()
+    .setCustomId(providerOpt ? `verify_invoice_button:${providerOpt}` : 'verify_invoice_button')
+    .setLabel('Verify Invoice')
+    .setStyle(ButtonStyle.Primary)
+    .setEmoji('🔎');
+
+  const row = new ActionRowBuilder().addComponents(button);
+
+  try {
+    await interaction.channel.send({ embeds: [embed], components: [row] });
+    await interaction.reply({
+      content: '✅ Verification embed sent to this channel.',
+      flags: 64,
+    });
+  } catch (err) {
+    logError('Failed to send verification embed', err);
+    await interaction.reply({
+      content: '❌ Failed to send verification embed. Check bot permissions.',
+      flags: 64,
+    });
+  }
+
+  return;
+}
+
+
+      // /updates (improved: 2 optional images; special title)
+      if (commandName === 'updates') {
+        if (settings.updates_channels.length === 0) {
+          await interaction.reply({
+            content: 'No updates channel configured. Set one with `/config set updates_channels`.',
+            flags: 64,
+          });
+          return;
+        }
+
+        const schedule = scheduleTimeOption(interaction);
+        if (schedule.error) return interaction.reply({ content: `❌ ${schedule.error}`, flags: 64 });
+
+        const upload = stashUploads(interaction, { image1: 'image_file_1', image2: 'image_file_2' });
+        if (upload.error) return interaction.reply({ content: `❌ ${upload.error}`, flags: 64 });
+
+        const modal = new ModalBuilder()
+          .setCustomId(buildModalId('updatesModal', encodeSchedule(schedule), upload.key))
+          .setTitle(schedule.postAt ? '🔔 Schedule Update' : '🔔 Updates');
+
+        const descriptionInput = new TextInputBuilder()
+          .setCustomId('updates_description')
+          .setLabel('Update content')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setPlaceholder('Type your updates here.');
+
+        const image1Input = new TextInputBuilder()
+          .setCustomId('updates_image_1')
+          .setLabel('Image URL 1 (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setPlaceholder(upload.uploads.image1 ? `Blank = uploaded ${upload.uploads.image1.name}`.slice(0, 100) : 'https://...');
+
+        const image2Input = new TextInputBuilder()
+          .setCustomId('updates_image_2')
+          .setLabel('Image URL 2 (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setPlaceholder(upload.uploads.image2 ? `Blank = uploaded ${upload.uploads.image2.name}`.slice(0, 100) : 'https://...');
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(descriptionInput),
+          new ActionRowBuilder().addComponents(image1Input),
+          new ActionRowBuilder().addComponents(image2Input)
+        );
+
+        await showImageModal(interaction, modal);
+        return;
+      }
+
+      // /embed (original multi-image modal)
+      if (commandName === 'embed') {
+        const targetChannel = interaction.options.getChannel('channel', true);
+
+        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
+          await interaction.reply({
+            content: 'Please choose a text channel.',
+            flags: 64,
+          });
+          return;
+        }
+
+        const schedule = scheduleTimeOption(interaction);
+        if (schedule.error) return interaction.reply({ content: `❌ ${schedule.error}`, flags: 64 });
+
+        // Optional template pre-fills the modal; its thumbnail and colour are applied on submit
+        const templateOpt = interaction.options.getString('template', false);
+        let template = null;
+        if (templateOpt) {
+          const templateName = normalizeTemplateName(templateOpt);
+          template = templateName ? await getEmbedTemplate(interaction.guild.id, templateName) : null;
+          if (!template) {
+            return interaction.reply({ content: `❌ Template \`${templateOpt}\` not found. See \`/template list\`.`, flags: 64 });
+          }
+        }
+        const templateImageList = templateImages(template);
+
+        const upload = stashUploads(interaction, { image1: 'image_file_1', image2: 'image_file_2', image3: 'image_file_3' });
+        if (upload.error) return interaction.reply({ content: `❌ ${upload.error}`, flags: 64 });
+
+        const remainingSlots = MODAL_MAX_COMPONENTS - 2;
+        const imageInputsToShow = Math.min(remainingSlots, MAX_IMAGES);
+
+        const modal = new ModalBuilder()
+          .setCustomId(
+            buildModalId('embedModal', targetChannel.id, encodeSchedule(schedule), template ? template.name : '', upload.key)
+          )
+          .setTitle(schedule.postAt ? 'Schedule Embed' : 'Create Embed');
+
+        const titleInput = new TextInputBuilder()
+          .setCustomId('embed_title')
+          .setLabel('Title (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (template && template.title) titleInput.setValue(template.title);
+
+        const descriptionInput = new TextInputBuilder()
+          .setCustomId('embed_description')
+          .setLabel('Description (optional)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false);
+        if (template && template.description) descriptionInput.setValue(template.description);
+
+        const rows = [
+          new ActionRowBuilder().addComponents(titleInput),
+          new ActionRowBuilder().addComponents(descriptionInput),
+        ];
+
+        for (let i = 1; i <= imageInputsToShow; i++) {
+          const img = new TextInputBuilder()
+            .setCustomId(`embed_image_${i}`)
+            .setLabel(`Image URL ${i} (optional)`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false);
+          const uploaded = upload.uploads[`image${i}`];
+          if (uploaded) img.setPlaceholder(`Blank = uploaded ${uploaded.name}`.slice(0, 100));
+          else if (templateImageList[i - 1]) img.setValue(templateImageList[i - 1]);
+
+          rows.push(new ActionRowBuilder().addComponents(img));
+        }
+
+        modal.addComponents(...rows.slice(0, MODAL_MAX_COMPONENTS));
+        await showImageModal(interaction, modal);
+        return;
+      }
+
+      // /embed_simple (new: one image + thumbnail)
+      if (commandName === 'embed_simple') {
+        const targetChannel = interaction.options.getChannel('channel', true);
+
+        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
+          await interaction.reply({
+            content: 'Please choose a text channel.',
+            flags: 64,
+          });
+          return;
+        }
+
+        const schedule = scheduleTimeOption(interaction);
+        if (schedule.error) return interaction.reply({ content: `❌ ${schedule.error}`, flags: 64 });
+
+        const upload = stashUploads(interaction, { image: 'image_file', thumbnail: 'thumbnail_file' });
+        if (upload.error) return interaction.reply({ content: `❌ ${upload.error}`, flags: 64 });
+
+        const modal = new ModalBuilder()
+          .setCustomId(buildModalId('embedSimpleModal', targetChannel.id, encodeSchedule(schedule), upload.key))
+          .setTitle(schedule.postAt ? 'Schedule Simple Embed' : 'Create Simple Embed');
+
+        const titleInput = new TextInputBuilder()
+          .setCustomId('simple_title')
+          .setLabel('Title (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+
+        const descriptionInput = new TextInputBuilder()
+          .setCustomId('simple_description')
+          .setLabel('Description (optional)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false);
+
+        const imageInput = new TextInputBuilder()
+          .setCustomId('simple_image')
+          .setLabel('Image URL (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setPlaceholder(upload.uploads.image ? `Blank = uploaded ${upload.uploads.image.name}`.slice(0, 100) : 'https://...');
+
+        const thumbInput = new TextInputBuilder()
+          .setCustomId('simple_thumbnail')
+          .setLabel('Thumbnail URL (optional)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setPlaceholder(upload.uploads.thumbnail ? `Blank = uploaded ${upload.uploads.thumbnail.name}`.slice(0, 100) : 'https://...');
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(titleInput),
+          new ActionRowBuilder().addComponents(descriptionInput),
+          new ActionRowBuilder().addComponents(imageInput),
+          new ActionRowBuilder().addComponents(thumbInput)
+        );
+
+        await showImageModal(interaction, modal);
+        return;
+      }
+
+      // /purge implementation
+      if (commandName === 'purge') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const count = interaction.options.getInteger('count', true);
+        const reason = interaction.options.getString('reason', false);
+        const channelOption = interaction.options.getChannel('channel', false);
+        const targetChannel = channelOption && channelOption.type === ChannelType.GuildText ? channelOption : interaction.channel;
+
+        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
+          return interaction.reply({ content: 'Invalid target channel.', flags: 64 });
+        }
+
+        if (count < 1 || count > 100) {
+          return interaction.reply({ content: 'Count must be between 1 and 100.', flags: 64 });
+        }
+
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          // fetch messages and bulk delete
+          const fetched = await targetChannel.messages.fetch({ limit: count }).catch(() => null);
+          if (!fetched || fetched.size === 0) {
+            return interaction.editReply({ content: 'No messages found to delete.' });
+          }
+
+          await targetChannel.bulkDelete(fetched, true).catch(async (err) => {
+            // fallback: delete individually if bulkDelete fails for older messages
+            logError('bulkDelete failed, attempting individual deletes', err);
+            for (const msg of fetched.values()) {
+              try {
+                await msg.delete().catch(() => {});
+              } catch (e) {
+                // ignore
+              }
+            }
+          });
+
+          const modCase = await createModCase(interaction.guild, {
+            action: 'purge',
+            targetId: targetChannel.id,
+            moderatorId: interaction.user.id,
+            reason,
+            details: `Deleted up to ${fetched.size} message(s)`,
+          });
+
+          return interaction.editReply({
+            content: `✅ Deleted up to ${fetched.size} messages from ${targetChannel}.${modCaseSuffix(modCase)}`,
+          });
+        } catch (err) {
+          logError('Purge failed', err);
+          return interaction.editReply({ content: '❌ Failed to purge messages.' });
+        }
+      }
+
+      // /timeout implementation
+      if (commandName === 'timeout') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const user = interaction.options.getUser('user', true);
+        const minutes = interaction.options.getInteger('minutes', true);
+        const reasonInput = interaction.options.getString('reason', false);
+
+        if (minutes < 1 || minutes > 40320) {
+          return interaction.reply({ content: 'Minutes must be between 1 and 40320.', flags: 64 });
+        }
+
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          const guild = interaction.guild;
+          const member = await guild.members.fetch(user.id).catch(() => null);
+          if (!member) return interaction.editReply({ content: 'User not found in this guild.' });
+
+          const modCase = await timeoutMember(guild, member, {
+            seconds: minutes * 60,
+            reason: reasonInput,
+            moderatorId: interaction.user.id,
+          });
+
+          return interaction.editReply({ content: `✅ ${user.tag} has been timed out for ${minutes} minute(s).${modCaseSuffix(modCase)}` });
+        } catch (err) {
+          logError('Timeout failed', err);
+          return interaction.editReply({ content: '❌ Failed to timeout user. Ensure I have Manage Members permission and role hierarchy.' });
+        }
+      }
+
+      // /untimeout implementation
+      if (commandName === 'untimeout') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const user = interaction.options.getUser('user', true);
+        const reason = interaction.options.getString('reason', false);
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          const guild = interaction.guild;
+          const member = await guild.members.fetch(user.id).catch(() => null);
+          if (!member) return interaction.editReply({ content: 'User not found in this guild.' });
+
+          await member.timeout(null, reason || undefined).catch((err) => { throw err; });
+
+          const modCase = await createModCase(guild, {
+            action: 'untimeout',
+            targetId: user.id,
+            moderatorId: interaction.user.id,
+            reason,
+          });
+
+          return interaction.editReply({ content: `✅ Timeout removed for ${user.tag}.${modCaseSuffix(modCase)}` });
+        } catch (err) {
+          logError('UnTimeout failed', err);
+          return interaction.editReply({ content: '❌ Failed to remove timeout. Ensure I have Manage Members permission and role hierarchy.' });
+        }
+      }
+
+      // /ban implementation
+      if (commandName === 'ban') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const user = interaction.options.getUser('user', true);
+        const reasonInput = interaction.options.getString('reason', false);
+        const reason = reasonInput || 'No reason provided';
+        const deleteDays = interaction.options.getInteger('delete_days', false) || 0;
+        const durationInput = (interaction.options.getString('duration', false) || '').trim();
+        const durationSeconds = durationInput ? parseDuration(durationInput) : null;
+
+        if (deleteDays < 0 || deleteDays > 7) {
+          return interaction.reply({ content: 'delete_days must be between 0 and 7.', flags: 64 });
+        }
+
+        if (durationInput && !durationSeconds) {
+          return interaction.reply({ content: '❌ Invalid duration. Use e.g. `12h`, `3d`, `2w` or `1d12h`.', flags: 64 });
+        }
+        if (durationSeconds > TEMP_BAN_MAX_SECONDS) {
+          return interaction.reply({
+            content: `❌ Temporary bans last at most ${formatDuration(TEMP_BAN_MAX_SECONDS)}. Leave duration out for a permanent ban.`,
+            flags: 64,
+          });
+        }
+
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          const { modCase, tempBanError } = await banUser(interaction.guild, user.id, {
+            reason: reasonInput,
+            deleteDays,
+            moderatorId: interaction.user.id,
+            durationSeconds,
+          });
+
+          if (tempBanError) {
+            return interaction.editReply({
+              content:
+                `⚠️ ${user.tag} has been banned, but the ${formatDuration(durationSeconds)} end could not be saved, ` +
+                `so the ban will not be lifted automatically. Use /unban when it should end. Reason: ${reason}${modCaseSuffix(modCase)}`,
+            });
+          }
+
+          const length = durationSeconds
+            ? ` for ${formatDuration(durationSeconds)} (lifted <t:${Math.floor(Date.now() / 1000) + durationSeconds}:R>)`
+            : '';
+          return interaction.editReply({
+            content: `✅ ${user.tag} has been banned${length}. Reason: ${reason}${modCaseSuffix(modCase)}`,
+          });
+        } catch (err) {
+          logError('Ban failed', err);
+          return interaction.editReply({ content: '❌ Failed to ban user. Ensure I have Ban Members permission and role hierarchy.' });
+        }
+      }
+
+      // /unban implementation
+      if (commandName === 'unban') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const userId = interaction.options.getString('user_id', true);
+        const reasonInput = interaction.options.getString('reason', false);
+        const reason = reasonInput || 'No reason provided';
+
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          const guild = interaction.guild;
+          await guild.bans.remove(userId, reason).catch((err) => { throw err; });
+          await dbRun(
+            `UPDATE temp_bans SET status = 'UNBANNED', lifted_at = CURRENT_TIMESTAMP WHERE guild_id = ? AND user_id = ? AND status = 'ACTIVE'`,
+            [guild.id, userId]
+          ).catch((err) => logError(`Failed to close temporary ban of ${userId}`, err));
+
+          const modCase = await createModCase(guild, {
+            action: 'unban',
+            targetId: userId,
+            moderatorId: interaction.user.id,
+            reason: reasonInput,
+          });
+
+          return interaction.editReply({ content: `✅ User ID ${userId} has been unbanned. Reason: ${reason}${modCaseSuffix(modCase)}` });
+        } catch (err) {
+          logError('Unban failed', err);
+          return interaction.editReply({ content: '❌ Failed to unban user. Ensure the ID is correct and I have Ban Members permission.' });
+        }
+      }
+
+      // /rolemap add|remove|list|test
+      if (commandName === 'rolemap') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          if (sub === 'add') {
+            const productId = interaction.options.getString('product_id', true).trim();
+            const roleOpt = interaction.options.getRole('role', true);
+            const durationInput = (interaction.options.getString('duration', false) || '').trim();
+            const providerId = interaction.options.getString('provider', false);
+
+            if (!productId) {
+              return interaction.editReply({ content: '❌ Product ID cannot be empty.' });
+            }
+
+            const durationSeconds = durationInput ? parseDuration(durationInput) : null;
+            if (durationInput && !durationSeconds) {
+              return interaction.editReply({ content: '❌ Invalid duration. Use e.g. `12h`, `7d`, `30d` or `1d12h`.' });
+            }
+
+            const check = await checkAssignableRole(interaction.guild, roleOpt.id);
+            if (!check.ok) {
+              return interaction.editReply({ content: `❌ Cannot map to that role: ${check.reason}` });
+            }
+
+            const previous = await dbGet(
+              `SELECT role_id FROM role_mappings WHERE guild_id = ? AND product_id = ? AND IFNULL(provider, '') = ?`,
+              [interaction.guildId, productId, providerId || '']
+            );
+
+            await dbRun(
+              `
+                INSERT INTO role_mappings (guild_id, product_id, role_id, duration_seconds, provider) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(guild_id, product_id, IFNULL(provider, '')) DO UPDATE SET
+                  role_id = excluded.role_id,
+                  duration_seconds = excluded.duration_seconds
+              `,
+              [interaction.guildId, productId, String(check.role.id), durationSeconds, providerId]
+            );
+
+            const storefront = providerId ? ` on ${PROVIDERS[providerId].name}` : '';
+            logInfo(
+              `Role mapping set: ${productId}${storefront} -> ${check.role.id} (${formatDuration(durationSeconds)}) by ${
+                interaction.user.tag
+              }`
+            );
+
+            const replaced =
+              previous && previous.role_id !== String(check.role.id)
+                ? ` (replaced <@&${previous.role_id}>)`
+                : '';
+            return interaction.editReply({
+              content: `✅ Product \`${productId}\`${storefront} now maps to ${check.role}${replaced}, ${
+                durationSeconds ? `expiring ${formatDuration(durationSeconds)} after verification` : 'permanent'
+              }.`,
+            });
+          }
+
+          if (sub === 'remove') {
+            const productId = interaction.options.getString('product_id', true).trim();
+            const providerId = interaction.options.getString('provider', false);
+            const storefront = providerId ? ` on ${PROVIDERS[providerId].name}` : '';
+            const result = await dbRun(
+              `DELETE FROM role_mappings WHERE guild_id = ? AND product_id = ? AND (? IS NULL OR provider = ?)`,
+              [interaction.guildId, productId, providerId, providerId]
+            );
+
+            if (result.changes === 0) {
+              return interaction.editReply({ content: `❌ No mapping found for product \`${productId}\`${storefront}.` });
+            }
+
+            logInfo(`Role mapping removed: ${productId}${storefront} by ${interaction.user.tag}`);
+            const remaining = await dbGet(`SELECT COUNT(*) AS n FROM role_mappings WHERE guild_id = ? AND product_id = ?`, [
+              interaction.guildId,
+              productId,
+            ]);
+            const fallback = settings.verify_role ? `<@&${settings.verify_role}>` : 'no role (verify_role not configured)';
+            return interaction.editReply({
+              content: `✅ Mapping for \`${productId}\`${storefront} removed. ${
+                remaining.n ? 'Its mappings for other storefronts still apply (see /rolemap list).' : `It now falls back to ${fallback}.`
+              }`,
+            });
+          }
+
+          if (sub === 'list') {
+            const mappings = await dbAll(
+              `
+                SELECT product_id, role_id, duration_seconds, provider FROM role_mappings
+                WHERE guild_id = ?
+                ORDER BY product_id, provider
+              `,
+              [interaction.guildId]
+            );
+            const unmapped = await dbAll(
+              `
+                SELECT DISTINCT product_id FROM verifications
+                WHERE guild_id = ?
+                  AND product_id IS NOT NULL
+                  AND product_id NOT IN (SELECT product_id FROM role_mappings WHERE guild_id = ?)
+                ORDER BY product_id
+              `,
+              [interaction.guildId, interaction.guildId]
+            );
+
+            const lines = [];
+            lines.push('**Mapped products**');
+            if (mappings.length === 0) lines.push('_None_');
+            for (const m of mappings) {
+              const exists = interaction.guild.roles.cache.has(m.role_id);
+              const duration = m.duration_seconds ? ` (${formatDuration(m.duration_seconds)})` : '';
+              const storefront = m.provider ? ` (${PROVIDERS[m.provider] ? PROVIDERS[m.provider].name : m.provider} only)` : '';
+              lines.push(
+                `\`${m.product_id}\`${storefront} → <@&${m.role_id}>${duration}${exists ? '' : ' ⚠️ role missing'}`
+              );
+            }
+
+            lines.push('');
+            lines.push(
+              `**Fallback** (\`verify_role\`): ${settings.verify_role ? `<@&${settings.verify_role}>` : '_not configured_'}`
+            );
+            lines.push('Any product ID without a mapping receives the fallback role.');
+
+            if (unmapped.length > 0) {
+              lines.push('');
+              lines.push('**Verified products currently using the fallback**');
+              for (const u of unmapped) lines.push(`\`${u.product_id}\``);
+            }
+
+            let text = lines.join('\n');
+            if (text.length > 4000) text = `${text.slice(0, 3990)}\n…`;
+
+            const embed = new EmbedBuilder()
+              .setTitle('Product → Role Mappings')
+              .setDescription(text)
+              .setColor(settings.embed_color);
+
+            return interaction.editReply({ embeds: [embed] });
+          }
+
+          if (sub === 'test') {
+            const productId = interaction.options.getString('product_id', true).trim();
+            const providerId = interaction.options.getString('provider', false);
+            const mapRow = await dbGet(
+              `
+                SELECT role_id, duration_seconds, provider FROM role_mappings
+                WHERE guild_id = ? AND product_id = ? AND (provider IS NULL OR ? IS NULL OR provider = ?)
+                ORDER BY provider IS NULL
+                LIMIT 1
+              `,
+              [interaction.guildId, productId, providerId, providerId]
+            );
+
+            const roleId = mapRow ? mapRow.role_id : settings.verify_role;
+            const duration = formatDuration(mapRow ? mapRow.duration_seconds : null);
+            const source = mapRow
+              ? `role mapping${mapRow.provider ? ` for ${PROVIDERS[mapRow.provider] ? PROVIDERS[mapRow.provider].name : mapRow.provider}` : ''}`
+              : 'fallback (verify_role)';
+
+            if (!roleId) {
+              return interaction.editReply({
+                content: `⚠️ Product \`${productId}\` has no mapping and verify_role is not configured. Verification would grant no role.`,
+              });
+            }
+
+            const check = await checkAssignableRole(interaction.guild, roleId);
+            const status = check.ok ? '✅ Bot can assign this role.' : `❌ ${check.reason}`;
+
+            return interaction.editReply({
+              content: `Product \`${productId}\` → <@&${roleId}> (${duration}) via ${source}.\n${status}`,
+            });
+          }
+
+          return interaction.editReply({ content: 'Unknown subcommand.' });
+        } catch (err) {
+          logError('Rolemap command failed', err);
+          return interaction.editReply({ content: '❌ Internal error while updating role mappings.' });
+        }
+      }
+
+      // /verification lookup
+      if (commandName === 'verification') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'lookup') {
+          const invoiceId = (interaction.options.getString('invoice_id', false) || '').trim();
+          const user = interaction.options.getUser('user', false);
+
+          if (!invoiceId && !user) {
+            return interaction.reply({ content: 'Provide an invoice_id or a user.', flags: 64 });
+          }
+
+          await interaction.deferReply({ flags: 64 });
+
+          try {
+            const embeds = [];
+
+            if (invoiceId) {
+              const rows = await dbAll(
+                `SELECT * FROM verifications WHERE invoice_id = ? ORDER BY id`,
+                [invoiceId]
+              );
+
+              const embed = new EmbedBuilder()
+                .setTitle(`🔎 Invoice ${invoiceId}`)
+                .setColor(settings.embed_color);
+
+              if (rows.length === 0) {
+                embed.setDescription('This invoice has not been used for verification.');
+              } else {
+                const owners = [...new Set(rows.map((r) => r.discord_id))];
+                const ownerLines = [];
+                for (const ownerId of owners) {
+                  const m = await interaction.guild.members.fetch(ownerId).catch(() => null);
+                  ownerLines.push(`<@${ownerId}> (\`${ownerId}\`)${m ? ` — ${m.user.tag}` : ' — not in server'}`);
+                }
+
+                embed.addFields(
+                  { name: 'Linked account', value: ownerLines.join('\n').slice(0, 1024) },
+                  {
+                    name: 'Records',
+                    value: rows
+                      .map((r) => formatVerificationRow(r, { showUser: false, showInvoice: false }))
+                      .join('\n')
+                      .slice(0, 1024),
+                  }
+                );
+              }
+
+              const actions = await dbAll(
+                `SELECT * FROM verification_actions WHERE invoice_id = ? ORDER BY id DESC LIMIT 5`,
+                [invoiceId]
+              );
+              if (actions.length > 0) {
+                embed.addFields({
+                  name: 'Staff actions',
+                  value: actions.map(formatVerificationAction).join('\n').slice(0, 1024),
+                });
+              }
+
+              embeds.push(embed);
+            }
+
+            if (user) {
+              const rows = await dbAll(
+                `SELECT * FROM verifications WHERE discord_id = ? ORDER BY id DESC`,
+                [String(user.id)]
+              );
+
+              const embed = new EmbedBuilder()
+                .setTitle(`📜 Verification history: ${user.tag}`)
+                .setColor(settings.embed_color);
+
+              if (rows.length === 0) {
+                embed.setDescription(`${user} has no verification records.`);
+              } else {
+                let text = rows.map((r) => formatVerificationRow(r, { showUser: false })).join('\n');
+                if (text.length > 4000) text = `${text.slice(0, 3990)}\n…`;
+                embed.setDescription(text).addFields({
+                  name: 'Totals',
+                  value: `${new Set(rows.map((r) => r.invoice_id)).size} invoice(s) · ${rows.length} record(s)`,
+                });
+              }
+
+              const actions = await dbAll(
+                `
+                  SELECT * FROM verification_actions
+                  WHERE discord_id = ? OR target_id = ?
+                  ORDER BY id DESC LIMIT 5
+                `,
+                [String(user.id), String(user.id)]
+              );
+              if (actions.length > 0) {
+                embed.addFields({
+                  name: 'Staff actions',
+                  value: actions.map(formatVerificationAction).join('\n').slice(0, 1024),
+                });
+              }
+
+              embeds.push(embed);
+            }
+
+            return interaction.editReply({ embeds, allowedMentions: { parse: [] } });
+          } catch (err) {
+            logError('Verification lookup failed', err);
+            return interaction.editReply({ content: '❌ Internal error while looking up verifications.' });
+          }
+        }
+
+        if (sub === 'grant') {
+          const user = interaction.options.getUser('user', true);
+          const invoiceId = interaction.options.getString('invoice_id', true).trim();
+          const reason = interaction.options.getString('reason', true).trim();
+          const productId = (interaction.options.getString('product_id', false) || '').trim() || null;
+          const roleOpt = interaction.options.getRole('role', false);
+          const providerId = interaction.options.getString('provider', false) || MANUAL_PROVIDER_ID;
+
+          if (!invoiceId) return interaction.reply({ content: '❌ Invoice ID cannot be empty.', flags: 64 });
+
+          await interaction.deferReply({ flags: 64 });
+
+          try {
+            const existing = await dbGet(`SELECT discord_id FROM verifications WHERE invoice_id = ?`, [invoiceId]);
+            if (existing) {
+              return interaction.editReply({
+                content: `❌ Invoice \`${invoiceId}\` is already linked to <@${existing.discord_id}>. Use transfer or revoke instead.`,
+                allowedMentions: { parse: [] },
+              });
+            }
+
+            // A mapped product keeps its duration unless a different role is picked by hand
+            const mapping = await resolveMappingForProduct(
+              interaction.guildId,
+              productId,
+              settings.verify_role,
+              PROVIDERS[providerId] ? providerId : null
+            );
+            const roleId = roleOpt ? roleOpt.id : mapping.roleId;
+            const durationSeconds = roleId === mapping.roleId ? mapping.durationSeconds : null;
+            if (!roleId) {
+              return interaction.editReply({
+                content: '❌ No role given, no mapping for that product and verify_role not configured.',
+              });
+            }
+
+            const check = await checkAssignableRole(interaction.guild, roleId);
+            if (!check.ok) {
+              return interaction.editReply({ content: `❌ Cannot assign that role: ${check.reason}` });
+            }
+
+            const result = await assignRoleAndPersist({
+              guild: interaction.guild,
+              discordId: user.id,
+              invoiceId,
+              grants: [{ productId, roleId: check.role.id, durationSeconds }],
+              status: 'MANUAL',
+              reason: `Manual verification by ${interaction.user.tag}: ${reason}`,
+              provider: providerId,
+            });
+
+            if (result.code === 'DUPLICATE' || result.code === 'DB_ERROR') {
+              return interaction.editReply({ content: assignResultMessage(result, { invoiceId, status: 'MANUAL' }) });
+            }
+
+            await recordVerificationAction({
+              action: 'GRANT',
+              invoiceId,
+              discordId: user.id,
+              roleId: check.role.id,
+              actorId: interaction.user.id,
+              reason,
+            });
+
+            logInfo(`Manual grant: invoice ${invoiceId} -> ${user.tag} (${check.role.id}) by ${interaction.user.tag}: ${reason}`);
+
+            const expiry = result.expiresAt ? ` Access expires <t:${result.expiresAt}:R>.` : '';
+            return interaction.editReply({
+              content: result.ok
+                ? `✅ Invoice \`${invoiceId}\` recorded for ${user} and ${check.role} assigned.${expiry}`
+                : `⚠️ Invoice \`${invoiceId}\` recorded for ${user}, but the role was not assigned (${result.code}).`,
+              allowedMentions: { parse: [] },
+            });
+          } catch (err) {
+            logError('Manual verification grant failed', err);
+            return interaction.editReply({ content: '❌ Internal error while granting verification.' });
+          }
+        }
+
+        if (sub === 'revoke') {
+          const invoiceId = interaction.options.getString('invoice_id', true).trim();
+          const reason = interaction.options.getString('reason', true).trim();
+
+          await interaction.deferReply({ flags: 64 });
+
+          try {
+            const rows = await dbAll(
+              `SELECT DISTINCT discord_id, role_id FROM verifications WHERE invoice_id = ?`,
+              [invoiceId]
+            );
+            if (rows.length === 0) {
+              return interaction.editReply({ content: `❌ Invoice \`${invoiceId}\` has no verification to revoke.` });
+            }
+
+            const results = await revokeInvoiceRoles({
+              guild: interaction.guild,
+              invoiceId,
+              status: 'REVOKED',
+              reason: `Verification revoked by ${interaction.user.tag}: ${reason}`,
+            });
+
+            // Free the invoice so it can be verified again; the audit row keeps the history
+            await dbRun(`DELETE FROM verifications WHERE invoice_id = ?`, [invoiceId]);
+
+            for (const r of results) {
+              await recordVerificationAction({
+                action: 'REVOKE',
+                invoiceId,
+                discordId: r.discordId,
+                roleId: r.roleId,
+                actorId: interaction.user.id,
+                reason,
+              });
+            }
+
+            logInfo(`Verification revoked: invoice ${invoiceId} by ${interaction.user.tag}: ${reason}`);
+
+            const lines = results.map(
+              (r) =>
+                `<@${r.discordId}> <@&${r.roleId}> — ${r.removed ? 'role removed' : `role kept (${r.reason})`}`
+            );
+            return interaction.editReply({
+              content: `✅ Invoice \`${invoiceId}\` revoked and freed.\n${lines.join('\n')}`,
+              allowedMentions: { parse: [] },
+            });
+          } catch (err) {
+            logError('Verification revoke failed', err);
+            return interaction.editReply({ content: '❌ Internal error while revoking verification.' });
+          }
+        }
+
+        if (sub === 'unlock') {
+          const user = interaction.options.getUser('user', true);
+
+          await interaction.deferReply({ flags: 64 });
+
+          try {
+            const lock = await dbRun(`DELETE FROM verification_lockouts WHERE discord_id = ?`, [String(user.id)]);
+            const cleared = await dbRun(`DELETE FROM verification_failures WHERE discord_id = ?`, [String(user.id)]);
+
+            logInfo(`Verification lockout cleared for ${user.tag} by ${interaction.user.tag}`);
+
+            return interaction.editReply({
+              content: `✅ ${user} unlocked${lock.changes ? '' : ' (was not locked)'}; ${cleared.changes} failed attempt(s) cleared.`,
+              allowedMentions: { parse: [] },
+            });
+          } catch (err) {
+            logError('Verification unlock failed', err);
+            return interaction.editReply({ content: '❌ Internal error while clearing the lockout.' });
+          }
+        }
+
+        if (sub === 'transfer') {
+          const invoiceId = interaction.options.getString('invoice_id', true).trim();
+          const toUser = interaction.options.getUser('to_user', true);
+          const reason = interaction.options.getString('reason', true).trim();
+
+          await interaction.deferReply({ flags: 64 });
+
+          try {
+            const rows = await dbAll(
+              `SELECT DISTINCT discord_id, role_id, status FROM verifications WHERE invoice_id = ?`,
+              [invoiceId]
+            );
+            if (rows.length === 0) {
+              return interaction.editReply({ content: `❌ Invoice \`${invoiceId}\` has no verification to transfer.` });
+            }
+
+            const fromIds = [...new Set(rows.map((r) => r.discord_id))];
+            if (fromIds.length === 1 && fromIds[0] === String(toUser.id)) {
+              return interaction.editReply({ content: `❌ Invoice \`${invoiceId}\` already belongs to ${toUser}.` });
+            }
+
+            const auditReason = `Invoice ${invoiceId} transferred by ${interaction.user.tag}: ${reason}`;
+            const lines = [];
+            // Every row of the invoice moves to the new owner, so none of them keeps the old owner's role
+            const invoiceRowIds = (await dbAll(`SELECT id FROM verifications WHERE invoice_id = ?`, [invoiceId])).map((r) => r.id);
+
+            for (const r of rows) {
+              if (r.discord_id === String(toUser.id)) continue;
+              const outcome = await removeRoleUnlessStillGranted({
+                guild: interaction.guild,
+                discordId: r.discord_id,
+                roleId: r.role_id,
+                excludeIds: invoiceRowIds,
+                reason: auditReason,
+              });
+              lines.push(`<@${r.discord_id}> <@&${r.role_id}> — ${outcome.removed ? 'removed' : `kept (${outcome.reason})`}`);
+            }
+
+            await dbRun(
+              `UPDATE verifications SET discord_id = ?, used_at = CURRENT_TIMESTAMP WHERE invoice_id = ?`,
+              [String(toUser.id), invoiceId]
+            );
+
+            const active = rows.filter(
+              (r) => r.role_id && !INACTIVE_VERIFICATION_STATUSES.includes(String(r.status).toUpperCase())
+            );
+            const newMember = await interaction.guild.members.fetch(toUser.id).catch(() => null);
+
+            for (const roleId of [...new Set(active.map((r) => r.role_id))]) {
+              if (!newMember) {
+                lines.push(`${toUser} <@&${roleId}> — not added (member not in server)`);
+                continue;
+              }
+              const check = await checkAssignableRole(interaction.guild, roleId);
+              if (!check.ok) {
+                lines.push(`${toUser} <@&${roleId}> — not added (${check.reason})`);
+                continue;
+              }
+              try {
+                await newMember.roles.add(check.role, auditReason);
+                lines.push(`${toUser} <@&${roleId}> — added`);
+              } catch (addErr) {
+                logError(`Failed to add role ${roleId} to ${toUser.tag} on transfer`, addErr);
+                lines.push(`${toUser} <@&${roleId}> — not added (add failed)`);
+              }
+            }
+
+            for (const fromId of fromIds) {
+              if (fromId === String(toUser.id)) continue;
+              await recordVerificationAction({
+                action: 'TRANSFER',
+                invoiceId,
+                discordId: fromId,
+                targetId: toUser.id,
+                actorId: interaction.user.id,
+                reason,
+              });
+            }
+
+            logInfo(`Invoice ${invoiceId} transferred to ${toUser.tag} by ${interaction.user.tag}: ${reason}`);
+
+            return interaction.editReply({
+              content: `✅ Invoice \`${invoiceId}\` transferred to ${toUser}.\n${lines.join('\n')}`,
+              allowedMentions: { parse: [] },
+            });
+          } catch (err) {
+            logError('Verification transfer failed', err);
+            return interaction.editReply({ content: '❌ Internal error while transferring verification.' });
+          }
+        }
+
+        return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+      }
+
+      // /subscription extend|end
+      if (commandName === 'subscription') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        const invoiceId = interaction.options.getString('invoice_id', true).trim();
+        const reason = interaction.options.getString('reason', true).trim();
+        const productId = (interaction.options.getString('product_id', false) || '').trim();
+
+        await interaction.deferReply({ flags: 64 });
+
+        try {
+          const rows = await dbAll(
+            `
+              SELECT id, invoice_id, discord_id, product_id, role_id, status, expires_at FROM verifications
+              WHERE invoice_id = ? AND expires_at IS NOT NULL
+                ${productId ? 'AND product_id = ?' : ''}
+            `,
+            productId ? [invoiceId, productId] : [invoiceId]
+          );
+
+          if (rows.length === 0) {
+            return interaction.editReply({
+              content: `❌ No time-limited verification found for invoice \`${invoiceId}\`${
+                productId ? ` and product \`${productId}\`` : ''
+              }.`,
+            });
+          }
+
+          if (sub === 'extend') {
+            const durationSeconds = parseDuration(interaction.options.getString('duration', true));
+            if (!durationSeconds) {
+              return interaction.editReply({ content: '❌ Invalid duration. Use e.g. `12h`, `7d`, `30d` or `1d12h`.' });
+            }
+
+            // Expired rows come back to life; refunded, disputed or revoked ones must stay inactive
+            const isClosed = (row) => {
+              const status = String(row.status).toUpperCase();
+              return status !== 'EXPIRED' && INACTIVE_VERIFICATION_STATUSES.includes(status);
+            };
+            const closed = rows.filter(isClosed);
+            const extendable = rows.filter((row) => !isClosed(row));
+
+            if (extendable.length === 0) {
+              return interaction.editReply({
+                content: `❌ Invoice \`${invoiceId}\` cannot be extended: its verification is ${[
+                  ...new Set(closed.map((row) => String(row.status).toUpperCase())),
+                ].join(', ')}.`,
+              });
+            }
+
+            const nowSec = Math.floor(Date.now() / 1000);
+            const lines = [];
+
+            for (const row of extendable) {
+              const wasExpired = String(row.status).toUpperCase() === 'EXPIRED';
+              const currentExp = sqliteTimeToUnix(row.expires_at) || nowSec;
+              const newExp = Math.max(nowSec, currentExp) + durationSeconds;
+
+              await dbRun(
+                `
+                  UPDATE verifications
+                  SET expires_at = ?, reminded_at = NULL,
+                      status = CASE WHEN UPPER(status) = 'EXPIRED' THEN 'MANUAL' ELSE status END
+                  WHERE id = ?
+                `,
+                [unixToSqliteTime(newExp), row.id]
+              );
+
+              let note = '';
+              if (wasExpired && row.role_id) {
+                const member = await interaction.guild.members.fetch(row.discord_id).catch(() => null);
+                const check = await checkAssignableRole(interaction.guild, row.role_id);
+                if (member && check.ok) {
+                  await member.roles
+                    .add(check.role, `Subscription extended by ${interaction.user.tag}: ${reason}`)
+                    .then(() => {
+                      note = ' (role re-added)';
+                    })
+                    .catch((err) => {
+                      logError(`Failed to re-add role ${row.role_id} to ${row.discord_id}`, err);
+                      note = ' (role could not be re-added)';
+                    });
+                } else {
+                  note = ` (role not re-added: ${member ? check.reason : 'member not in server'})`;
+                }
+              }
+
+              await recordVerificationAction({
+                action: 'EXTEND',
+                invoiceId,
+                discordId: row.discord_id,
+                roleId: row.role_id,
+                actorId: interaction.user.id,
+                reason: `+${formatDuration(durationSeconds)}: ${reason}`,
+              });
+
+              lines.push(`<@${row.discord_id}> <@&${row.role_id}> — now expires <t:${newExp}:f>${note}`);
+            }
+
+            for (const row of closed) {
+              lines.push(`<@${row.discord_id}> <@&${row.role_id}> — skipped (${String(row.status).toUpperCase()})`);
+            }
+
+            logInfo(`Subscription ${invoiceId} extended by ${formatDuration(durationSeconds)} by ${interaction.user.tag}: ${reason}`);
+
+            return interaction.editReply({
+              content: `✅ Invoice \`${invoiceId}\` extended by ${formatDuration(durationSeconds)}.\n${lines.join('\n')}`,
+              allowedMentions: { parse: [] },
+            });
+          }
+
+          if (sub === 'end') {
+            const active = rows.filter((r) => !INACTIVE_VERIFICATION_STATUSES.includes(String(r.status).toUpperCase()));
+            if (active.length === 0) {
+              return interaction.editReply({ content: `❌ Invoice \`${invoiceId}\` has no active subscription to end.` });
+            }
+
+            const results = await expireVerificationRows(
+              interaction.guild,
+              active,
+              `Subscription ended by ${interaction.user.tag}: ${reason}`
+            );
+
+            for (const r of results) {
+              await recordVerificationAction({
+                action: 'END',
+                invoiceId,
+                discordId: r.discord_id,
+                roleId: r.role_id,
+                actorId: interaction.user.id,
+                reason,
+              });
+            }
+
+            logInfo(`Subscription ${invoiceId} ended by ${interaction.user.tag}: ${reason}`);
+
+            const lines = results.map(
+              (r) => `<@${r.discord_id}> <@&${r.role_id}> — ${r.removed ? 'role removed' : `role kept (${r.reason})`}`
+            );
+            return interaction.editReply({
+              content: `✅ Subscription for invoice \`${invoiceId}\` ended.\n${lines.join('\n')}`,
+              allowedMentions: { parse: [] },
+            });
+          }
+
+          return interaction.editReply({ content: 'Unknown subcommand.' });
+        } catch (err) {
+          logError('Subscription command failed', err);
+          return interaction.editReply({ content: '❌ Internal error while updating the subscription.' });
+        }
+      }
+
+      // /config view|set|reset (guild_settings)
+      if (commandName === 'config') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        try {
+          if (sub === 'view') {
+            const rows = await dbAll(`SELECT key, value FROM guild_settings WHERE guild_id = ?`, [guildId]);
+            const stored = new Map(rows.map((r) => [r.key, r.value]));
+
+            const lines = Object.entries(GUILD_SETTINGS).map(([key, def]) => {
+              const isDefault = !stored.has(key) || stored.get(key) === defaultSettingValue(key);
+              return `**${def.label}** (\`${key}\`): ${formatSettingValue(key, settings[key])}${isDefault ? ' _(default)_' : ''}`;
+            });
+
+            const embed = new EmbedBuilder()
+              .setTitle(`⚙️ Settings for ${interaction.guild.name}`)
+              .setDescription(lines.join('\n').slice(0, 4000))
+              .addFields({
+                name: 'Notes',
+                value: 'Values marked _(default)_ come from .env. Presence settings apply bot-wide from the main server.',
+              })
+              .setColor(settings.embed_color);
+
+            return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
+          }
+
+          const key = interaction.options.getString('key', sub === 'set');
+          const isPrimary = resolvePrimaryGuild()?.id === guildId;
+
+          if (sub === 'set') {
+            const def = GUILD_SETTINGS[key];
+            const raw = interaction.options.getString('value', true);
+            const value = normalizeSettingValue(key, raw, interaction.guild);
+
+            if (value === null) {
+              const hints = {
+                update_targets:
+                  'comma-separated channels from this server, each optionally followed by everyone, none or a role (e.g. `#news everyone, #changelog @Customers`)',
+                channel: 'a channel mention or ID from this server',
+                role: 'a role mention or ID from this server',
+                choice: `one of: ${(def.choices || []).join(', ')}`,
+                color: 'a hex colour like `#3336fc`',
+                url: 'a URL starting with http:// or https://',
+                text: 'non-empty text',
+                duration: 'a duration like `30d`, `12h` or `1w`, or `none`',
+                warn_ladder:
+                  'comma-separated steps of warnings:timeout:duration (28d max) or warnings:ban (e.g. `3:timeout:1h, 5:ban`)',
+              };
+              return interaction.reply({ content: `❌ Invalid value for \`${key}\`. Expected ${hints[def.type]}.`, flags: 64 });
+            }
+
+            await setGuildSetting(guildId, key, value, interaction.user.id);
+            const updated = await getGuildSettings(guildId);
+            if (isPrimary && PRESENCE_SETTING_KEYS.includes(key)) applyPresence(updated);
+
+            logInfo(`Setting ${key} for guild ${guildId} set to "${value}" by ${interaction.user.tag}`);
+            return interaction.reply({
+              content: `✅ **${def.label}** is now ${formatSettingValue(key, updated[key])}.`,
+              flags: 64,
+              allowedMentions: { parse: [] },
+            });
+          }
+
+          if (sub === 'reset') {
+            await resetGuildSetting(guildId, key);
+            const updated = await getGuildSettings(guildId);
+            if (isPrimary && (!key || PRESENCE_SETTING_KEYS.includes(key))) applyPresence(updated);
+
+            logInfo(`Setting ${key || '(all)'} for guild ${guildId} reset by ${interaction.user.tag}`);
+            return interaction.reply({
+              content: key
+                ? `✅ **${GUILD_SETTINGS[key].label}** reset to the default: ${formatSettingValue(key, updated[key])}.`
+                : '✅ All settings reset to the .env defaults.',
+              flags: 64,
+              allowedMentions: { parse: [] },
+            });
+          }
+
+          return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+        } catch (err) {
+          logError('Config command failed', err);
+          return interaction.reply({ content: '❌ Internal error while updating settings.', flags: 64 });
+        }
+      }
+
+      // /scheduled list|cancel|edit
+      if (commandName === 'scheduled') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+
+        try {
+          if (sub === 'list') {
+            const rows = await dbAll(
+              `SELECT * FROM scheduled_posts WHERE guild_id = ? AND status = 'PENDING' ORDER BY post_at, id LIMIT 25`,
+              [interaction.guild.id]
+            );
+
+            const embed = new EmbedBuilder()
+              .setTitle('🗓️ Scheduled posts')
+              .setDescription(rows.length ? rows.map(formatScheduledPost).join('\n\n').slice(0, 4000) : '_Nothing scheduled._')
+              .setColor(settings.embed_color);
+
+            return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
+          }
+
+          const postId = interaction.options.getInteger('id', true);
+          const row = await dbGet(`SELECT * FROM scheduled_posts WHERE id = ? AND guild_id = ?`, [postId, interaction.guild.id]);
+
+          if (!row) return interaction.reply({ content: `❌ Scheduled post #${postId} not found.`, flags: 64 });
+          if (row.status !== 'PENDING') {
+            return interaction.reply({ content: `❌ Scheduled post #${postId} is already ${row.status.toLowerCase()}.`, flags: 64 });
+          }
+
+          if (sub === 'cancel') {
+            await dbRun(`UPDATE scheduled_posts SET status = 'CANCELLED' WHERE id = ? AND status = 'PENDING'`, [postId]);
+            await dropScheduledPostFiles(postId);
+            logInfo(`Scheduled post #${postId} cancelled by ${interaction.user.tag}`);
+            return interaction.reply({ content: `✅ Scheduled post #${postId} cancelled.`, flags: 64 });
+          }
+
+          if (sub === 'edit') {
+            const payload = JSON.parse(row.payload);
+            const modal = new ModalBuilder().setCustomId(`scheduledEditModal:${postId}`).setTitle(`Edit Scheduled Post #${postId}`);
+
+            for (const [key, label, style, required] of SCHEDULED_EDIT_FIELDS[row.kind] || []) {
+              const value = Array.isArray(payload[key]) ? payload[key].join('\n') : payload[key] || '';
+              const input = new TextInputBuilder()
+                .setCustomId(`sched_${key}`)
+                .setLabel(label)
+                .setStyle(style)
+                .setRequired(required);
+              if (value) input.setValue(String(value).slice(0, 4000));
+              modal.addComponents(new ActionRowBuilder().addComponents(input));
+            }
+
+            const whenInput = new TextInputBuilder()
+              .setCustomId('sched_when')
+              .setLabel('Post at (YYYY-MM-DD HH:MM timezone)')
+              .setStyle(TextInputStyle.Short)
+              .setRequired(true)
+              .setValue(formatScheduleTime(sqliteTimeToUnix(row.post_at), row.timezone || 'UTC'));
+            modal.addComponents(new ActionRowBuilder().addComponents(whenInput));
+
+            await showImageModal(interaction, modal);
+            return;
+          }
+
+          return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+        } catch (err) {
+          logError('Scheduled command failed', err);
+          return interaction.reply({ content: '❌ Internal error while managing scheduled posts.', flags: 64 });
+        }
+      }
+
+      // /template save|list|delete
+      if (commandName === 'template') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+
+        try {
+          if (sub === 'list') {
+            const rows = await dbAll(`SELECT * FROM embed_templates WHERE guild_id = ? ORDER BY name LIMIT 50`, [
+              interaction.guild.id,
+            ]);
+
+            const lines = rows.map((t) => {
+              const bits = [t.title ? `"${t.title.slice(0, 60)}"` : '_no title_'];
+              const imageCount = templateImages(t).length;
+              if (imageCount) bits.push(`${imageCount} image(s)`);
+              if (t.thumbnail) bits.push('thumbnail');
+              if (t.color) bits.push(t.color);
+              return `• \`${t.name}\` — ${bits.join(' · ')} (by <@${t.created_by}>)`;
+            });
+
+            const embed = new EmbedBuilder()
+              .setTitle('📝 Embed templates')
+              .setDescription(
+                lines.length
+                  ? `${lines.join('\n')}\n\nUse one with \`/embed template:<name>\`.`.slice(0, 4000)
+                  : '_No templates yet. Create one with `/template save`._'
+              )
+              .setColor(settings.embed_color);
+
+            return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
+          }
+
+          const name = normalizeTemplateName(interaction.options.getString('name', true));
+          if (!name) {
+            return interaction.reply({
+              content: '❌ Template names are 1-32 characters: lowercase letters, digits, `-` and `_`.',
+              flags: 64,
+            });
+          }
+
+          if (sub === 'delete') {
+            const result = await dbRun(`DELETE FROM embed_templates WHERE guild_id = ? AND name = ?`, [
+              interaction.guild.id,
+              name,
+            ]);
+            if (result.changes === 0) return interaction.reply({ content: `❌ Template \`${name}\` not found.`, flags: 64 });
+
+            logInfo(`Embed template "${name}" deleted by ${interaction.user.tag}`);
+            return interaction.reply({ content: `✅ Template \`${name}\` deleted.`, flags: 64 });
+          }
+
+          if (sub === 'save') {
+            const existing = await getEmbedTemplate(interaction.guild.id, name);
+            const modal = new ModalBuilder()
+              .setCustomId(`templateModal:${name}`)
+              .setTitle(`${existing ? 'Edit' : 'New'} Template: ${name}`.slice(0, 45));
+
+            const fields = [
+              ['tpl_title', 'Title (optional)', TextInputStyle.Short, existing?.title],
+              ['tpl_description', 'Description ({server} {user} {date} etc.)', TextInputStyle.Paragraph, existing?.description],
+              ['tpl_images', `Image URLs (one per line, max ${MAX_IMAGES})`, TextInputStyle.Paragraph, templateImages(existing).join('\n')],
+              ['tpl_thumbnail', 'Thumbnail URL (optional)', TextInputStyle.Short, existing?.thumbnail],
+              ['tpl_color', 'Colour (#hex, optional)', TextInputStyle.Short, existing?.color],
+            ];
+
+            for (const [customId, label, style, value] of fields) {
+              const input = new TextInputBuilder()
+                .setCustomId(customId)
+                .setLabel(label)
+                .setStyle(style)
+                .setRequired(false);
+              if (value) input.setValue(String(value).slice(0, 4000));
+              modal.addComponents(new ActionRowBuilder().addComponents(input));
+            }
+
+            await interaction.showModal(modal);
+            return;
+          }
+
+          return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+        } catch (err) {
+          logError('Template command failed', err);
+          return interaction.reply({ content: '❌ Internal error while managing templates.', flags: 64 });
+        }
+      }
+
+      // /embed_json post|export
+      if (commandName === 'embed_json') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        const targetChannel = interaction.options.getChannel('channel', true);
+
+        if (sub === 'export') {
+          const messageId = (interaction.options.getString('message_id', true) || '').trim();
+          const message = /^\d{17,20}$/.test(messageId)
+            ? await targetChannel.messages.fetch(messageId).catch(() => null)
+            : null;
+
+          if (!message) return interaction.reply({ content: 'Message not found.', flags: 64 });
+          if (message.author?.id !== client.user.id) {
+            return interaction.reply({ content: 'I can only export messages that I sent.', flags: 64 });
+          }
+
+          const json = JSON.stringify(messageToEmbedJson(message), null, 2);
+          const file = new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `message-${message.id}.json` });
+
+          logInfo(`Message ${message.id} exported as JSON by ${interaction.user.tag}`);
+          return interaction.reply({
+            content: 'Paste this into Discohook (JSON Data Editor), then re-post it with `/embed_json post`.',
+            files: [file],
+            flags: 64,
+          });
+        }
+
+        if (sub === 'post') {
+          const attachment = interaction.options.getAttachment('file', true);
+
+          if (!/\.json$/i.test(attachment.name || '') && !/json/i.test(attachment.contentType || '')) {
+            return interaction.reply({ content: '❌ Attach a `.json` file.', flags: 64 });
+          }
+          if (attachment.size > EMBED_JSON_MAX_BYTES) {
+            return interaction.reply({ content: `❌ File is too large (max ${EMBED_JSON_MAX_BYTES / 1024} KB).`, flags: 64 });
+          }
 
-  return;
-}
+          await interaction.deferReply({ flags: 64 });
 
+          let text;
+          try {
+            const resp = await axios.get(attachment.url, {
+              responseType: 'text',
+              timeout: 15000,
+              maxContentLength: EMBED_JSON_MAX_BYTES,
+            });
+            text = resp.data;
+          } catch (err) {
+            logError('Failed to download embed JSON', err);
+            return interaction.editReply({ content: '❌ Could not download the attachment.' });
+          }
 
-      // /updates (improved: 2 optional images; special title)
-      if (commandName === 'updates') {
-        if (UPDATES_IDS.length === 0) {
-          await interaction.reply({
-            content: 'UPDATES_CHANNEL_IDS is not configured in .env.',
-            flags: 64,
-          });
-          return;
+          const parsed = parseEmbedJson(text);
+          if (parsed.errors) {
+            const shown = parsed.errors.slice(0, 15).map((e) => `• ${e}`);
+            if (parsed.errors.length > shown.length) shown.push(`…and ${parsed.errors.length - shown.length} more.`);
+            return interaction.editReply({ content: `❌ The JSON can't be posted:\n${shown.join('\n')}`.slice(0, 2000) });
+          }
+
+          const { content, embeds, allowedMentions } = parsed.message;
+          try {
+            const sent = await targetChannel.send({ content: content || undefined, embeds, allowedMentions });
+            logInfo(`JSON message (${embeds.length} embed(s)) sent to #${targetChannel.name} by ${interaction.user.tag}`);
+            return interaction.editReply({ content: `✅ Posted to ${targetChannel} (${sent.url || sent.id}).` });
+          } catch (err) {
+            logError('Failed to send JSON message', err);
+            return interaction.editReply({ content: `❌ Discord rejected the message: ${err.message}`.slice(0, 2000) });
+          }
         }
 
-        const modal = new ModalBuilder().setCustomId('updatesModal').setTitle('🔔 Updates');
+        return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+      }
 
-        const descriptionInput = new TextInputBuilder()
-          .setCustomId('updates_description')
-          .setLabel('Update content')
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(true)
-          .setPlaceholder('Type your updates here.');
+      // /embedhistory <message> [channel]
+      if (commandName === 'embedhistory') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
 
-        const image1Input = new TextInputBuilder()
-          .setCustomId('updates_image_1')
-          .setLabel('Image URL 1 (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+        const ref = parseMessageRef(interaction.options.getString('message', true));
+        if (!ref) return interaction.reply({ content: '❌ Give a message link or ID.', flags: 64 });
 
-        const image2Input = new TextInputBuilder()
-          .setCustomId('updates_image_2')
-          .setLabel('Image URL 2 (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+        const channelId = ref.channelId || interaction.options.getChannel('channel', false)?.id || interaction.channelId;
+        const channel = await interaction.guild.channels.fetch(channelId).catch(() => null);
+        const message = channel && channel.messages ? await channel.messages.fetch(ref.messageId).catch(() => null) : null;
 
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(descriptionInput),
-          new ActionRowBuilder().addComponents(image1Input),
-          new ActionRowBuilder().addComponents(image2Input)
-        );
+        if (!message) return interaction.reply({ content: 'Message not found.', flags: 64 });
+        if (message.author?.id !== client.user.id) {
+          return interaction.reply({ content: 'I only keep history for messages that I sent.', flags: 64 });
+        }
 
-        await interaction.showModal(modal);
-        return;
+        try {
+          const view = await buildHistoryView(message, settings.embed_color);
+          return interaction.reply({ ...view, flags: 64, allowedMentions: { parse: [] } });
+        } catch (err) {
+          logError('Embed history failed', err);
+          return interaction.reply({ content: '❌ Internal error while loading history.', flags: 64 });
+        }
       }
 
-      // /embed (original multi-image modal)
-      if (commandName === 'embed') {
+      // /embed_builder <channel>
+      if (commandName === 'embed_builder') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+        }
+
         const targetChannel = interaction.options.getChannel('channel', true);
+        const session = createBuilderSession({
+          guildId: interaction.guild.id,
+          userId: interaction.user.id,
+          channelId: targetChannel.id,
+        });
+        const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
 
-        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
-          await interaction.reply({
-            content: 'Please choose a text channel.',
-            flags: 64,
-          });
-          return;
+        return interaction.reply({ ...builderView(session, { authorDisplayName, settings }), flags: 64 });
+      }
+
+      // /rolepanel create|edit|add-role|remove-role|list|delete
+      if (commandName === 'rolepanel') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
-        const remainingSlots = MODAL_MAX_COMPONENTS - 2;
-        const imageInputsToShow = Math.min(remainingSlots, MAX_IMAGES);
+        const sub = interaction.options.getSubcommand();
+        const guild = interaction.guild;
 
-        const modal = new ModalBuilder()
-          .setCustomId(`embedModal:${targetChannel.id}`)
-          .setTitle('Create Embed');
+        try {
+          if (sub === 'list') {
+            const panels = await dbAll(
+              `SELECT p.*, (SELECT COUNT(*) FROM role_panel_roles r WHERE r.panel_id = p.id) AS role_count
+               FROM role_panels p WHERE p.guild_id = ? ORDER BY p.id LIMIT 25`,
+              [guild.id]
+            );
 
-        const titleInput = new TextInputBuilder()
-          .setCustomId('embed_title')
-          .setLabel('Title (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false);
+            const embed = new EmbedBuilder()
+              .setTitle('🎛️ Role panels')
+              .setDescription(
+                panels.length
+                  ? panels.map((p) => formatRolePanel(p, p.role_count)).join('\n').slice(0, 4000)
+                  : '_No role panels yet. Create one with `/rolepanel create`._'
+              )
+              .setColor(settings.embed_color);
 
-        const descriptionInput = new TextInputBuilder()
-          .setCustomId('embed_description')
-          .setLabel('Description (optional)')
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(false);
+            return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
+          }
 
-        const rows = [
-          new ActionRowBuilder().addComponents(titleInput),
-          new ActionRowBuilder().addComponents(descriptionInput),
-        ];
+          if (sub === 'create') {
+            const targetChannel = interaction.options.getChannel('channel', true);
+            const title = interaction.options.getString('title', true).trim();
+            const description = (interaction.options.getString('description') || '').replace(/\\n/g, '\n').trim();
+            const style = interaction.options.getString('style') || 'buttons';
+            const requiredRole = interaction.options.getRole('required_role');
+            const roleIds = parseRoleList(interaction.options.getString('roles', true));
+
+            if (!roleIds.length) return interaction.reply({ content: '❌ Mention at least one role.', flags: 64 });
+            if (roleIds.length > ROLE_PANEL_MAX_ROLES) {
+              return interaction.reply({ content: `❌ A panel holds at most ${ROLE_PANEL_MAX_ROLES} roles.`, flags: 64 });
+            }
 
-        for (let i = 1; i <= imageInputsToShow; i++) {
-          const img = new TextInputBuilder()
-            .setCustomId(`embed_image_${i}`)
-            .setLabel(`Image URL ${i} (optional)`)
-            .setStyle(TextInputStyle.Short)
-            .setRequired(false);
+            const problems = [];
+            for (const roleId of roleIds) {
+              const check = await checkPanelRole(guild, roleId, settings);
+              if (!check.ok) problems.push(`• ${check.reason}`);
+            }
+            if (problems.length) {
+              return interaction.reply({ content: `❌ These roles can't be self-assigned:\n${problems.join('\n')}`, flags: 64 });
+            }
 
-          rows.push(new ActionRowBuilder().addComponents(img));
-        }
+            await interaction.deferReply({ flags: 64 });
 
-        modal.addComponents(...rows.slice(0, MODAL_MAX_COMPONENTS));
-        await interaction.showModal(modal);
-        return;
-      }
+            const { lastID: panelId } = await dbRun(
+              `INSERT INTO role_panels (guild_id, channel_id, title, description, style, required_role_id, created_by)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+              [guild.id, targetChannel.id, title, description || null, style, requiredRole ? requiredRole.id : null, interaction.user.id]
+            );
+            for (const [position, roleId] of roleIds.entries()) {
+              await dbRun(`INSERT INTO role_panel_roles (panel_id, role_id, position) VALUES (?, ?, ?)`, [panelId, roleId, position]);
+            }
 
-      // /embed_simple (new: one image + thumbnail)
-      if (commandName === 'embed_simple') {
-        const targetChannel = interaction.options.getChannel('channel', true);
+            const panel = await getRolePanel(guild.id, panelId);
+            const entries = await getRolePanelRoles(panelId);
 
-        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
-          await interaction.reply({
-            content: 'Please choose a text channel.',
-            flags: 64,
-          });
-          return;
-        }
+            let message;
+            try {
+              message = await targetChannel.send(renderRolePanel(guild, panel, entries, settings.embed_color));
+            } catch (err) {
+              logError('Failed to post role panel', err);
+              await dbRun(`DELETE FROM role_panel_roles WHERE panel_id = ?`, [panelId]);
+              await dbRun(`DELETE FROM role_panels WHERE id = ?`, [panelId]);
+              return interaction.editReply({ content: `❌ Could not post in ${targetChannel}: ${err.message}` });
+            }
 
-        const modal = new ModalBuilder()
-          .setCustomId(`embedSimpleModal:${targetChannel.id}`)
-          .setTitle('Create Simple Embed');
+            await dbRun(`UPDATE role_panels SET message_id = ? WHERE id = ?`, [message.id, panelId]);
+            logInfo(`Role panel #${panelId} created in #${targetChannel.name} by ${interaction.user.tag}`);
+            return interaction.editReply({
+              content: `✅ Role panel #${panelId} posted in ${targetChannel}. Change it later with \`/rolepanel edit panel:${panelId}\`.`,
+            });
+          }
 
-        const titleInput = new TextInputBuilder()
-          .setCustomId('simple_title')
-          .setLabel('Title (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false);
+          const panelId = interaction.options.getInteger('panel', true);
+          const panel = await getRolePanel(guild.id, panelId);
+          if (!panel) return interaction.reply({ content: `❌ Role panel #${panelId} not found.`, flags: 64 });
 
-        const descriptionInput = new TextInputBuilder()
-          .setCustomId('simple_description')
-          .setLabel('Description (optional)')
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(false);
+          if (sub === 'delete') {
+            await dbRun(`DELETE FROM role_panel_roles WHERE panel_id = ?`, [panel.id]);
+            await dbRun(`DELETE FROM role_panels WHERE id = ?`, [panel.id]);
 
-        const imageInput = new TextInputBuilder()
-          .setCustomId('simple_image')
-          .setLabel('Image URL (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+            const channel = await guild.channels.fetch(panel.channel_id).catch(() => null);
+            const message = channel && panel.message_id ? await channel.messages.fetch(panel.message_id).catch(() => null) : null;
+            const deleted = message ? await message.delete().then(() => true).catch(() => false) : false;
 
-        const thumbInput = new TextInputBuilder()
-          .setCustomId('simple_thumbnail')
-          .setLabel('Thumbnail URL (optional)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(false)
-          .setPlaceholder('https://...');
+            logInfo(`Role panel #${panel.id} deleted by ${interaction.user.tag}`);
+            return interaction.reply({
+              content: `✅ Role panel #${panel.id} deleted${deleted ? ' along with its message' : '; its message was already gone or could not be removed'}.`,
+              flags: 64,
+            });
+          }
 
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(titleInput),
-          new ActionRowBuilder().addComponents(descriptionInput),
-          new ActionRowBuilder().addComponents(imageInput),
-          new ActionRowBuilder().addComponents(thumbInput)
-        );
+          if (sub === 'edit') {
+            const title = interaction.options.getString('title');
+            const description = interaction.options.getString('description');
+            const style = interaction.options.getString('style');
+            const requiredRole = interaction.options.getRole('required_role');
+            const clearRequirement = interaction.options.getBoolean('clear_requirement');
+
+            if (title) panel.title = title.trim();
+            if (description != null) panel.description = description.trim() === '-' ? null : description.replace(/\\n/g, '\n').trim();
+            if (style) panel.style = style;
+            if (requiredRole) panel.required_role_id = requiredRole.id;
+            if (clearRequirement) panel.required_role_id = null;
+
+            await dbRun(
+              `UPDATE role_panels SET title = ?, description = ?, style = ?, required_role_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+              [panel.title, panel.description, panel.style, panel.required_role_id, panel.id]
+            );
+          }
 
-        await interaction.showModal(modal);
-        return;
+          if (sub === 'add-role') {
+            const role = interaction.options.getRole('role', true);
+            const label = (interaction.options.getString('label') || '').trim() || null;
+            const emoji = parsePanelEmoji(interaction.options.getString('emoji'));
+            if (emoji === undefined) {
+              return interaction.reply({ content: '❌ Use a single emoji or a custom emoji from this server.', flags: 64 });
+            }
+
+            const check = await checkPanelRole(guild, role.id, settings);
+            if (!check.ok) return interaction.reply({ content: `❌ ${check.reason}`, flags: 64 });
+
+            const entries = await getRolePanelRoles(panel.id);
+            const existing = entries.find((e) => e.role_id === role.id);
+            if (!existing && entries.length >= ROLE_PANEL_MAX_ROLES) {
+              return interaction.reply({ content: `❌ A panel holds at most ${ROLE_PANEL_MAX_ROLES} roles.`, flags: 64 });
+            }
+
+            if (existing) {
+              await dbRun(`UPDATE role_panel_roles SET label = ?, emoji = ? WHERE panel_id = ? AND role_id = ?`, [
+                label,
+                emoji,
+                panel.id,
+                role.id,
+              ]);
+            } else {
+              const position = entries.length ? Math.max(...entries.map((e) => e.position)) + 1 : 0;
+              await dbRun(`INSERT INTO role_panel_roles (panel_id, role_id, label, emoji, position) VALUES (?, ?, ?, ?, ?)`, [
+                panel.id,
+                role.id,
+                label,
+                emoji,
+                position,
+              ]);
+            }
+          }
+
+          if (sub === 'remove-role') {
+            const role = interaction.options.getRole('role', true);
+            const entries = await getRolePanelRoles(panel.id);
+            if (!entries.some((e) => e.role_id === role.id)) {
+              return interaction.reply({ content: `❌ ${role} is not on panel #${panel.id}.`, flags: 64, allowedMentions: { parse: [] } });
+            }
+            if (entries.length === 1) {
+              return interaction.reply({ content: '❌ A panel needs at least one role. Delete the panel instead.', flags: 64 });
+            }
+            await dbRun(`DELETE FROM role_panel_roles WHERE panel_id = ? AND role_id = ?`, [panel.id, role.id]);
+          }
+
+          if (['edit', 'add-role', 'remove-role'].includes(sub)) {
+            const error = await refreshRolePanel(guild, panel, { editedBy: interaction.user.id, color: settings.embed_color });
+            logInfo(`Role panel #${panel.id} changed (${sub}) by ${interaction.user.tag}`);
+            return interaction.reply({
+              content: error ? `⚠️ Saved, but the panel message was not updated: ${error}` : `✅ Role panel #${panel.id} updated.`,
+              flags: 64,
+            });
+          }
+
+          return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+        } catch (err) {
+          logError('Role panel command failed', err);
+          const reply = { content: '❌ Internal error while managing role panels.', flags: 64 };
+          return interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply);
+        }
       }
 
-      // /purge implementation
-      if (commandName === 'purge') {
+      // /case view|edit-reason|delete
+      if (commandName === 'case') {
         if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
           return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
-        const count = interaction.options.getInteger('count', true);
-        const channelOption = interaction.options.getChannel('channel', false);
-        const targetChannel = channelOption && channelOption.type === ChannelType.GuildText ? channelOption : interaction.channel;
+        const sub = interaction.options.getSubcommand();
+        const caseNumber = interaction.options.getInteger('number', true);
 
-        if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
-          return interaction.reply({ content: 'Invalid target channel.', flags: 64 });
+        try {
+          const row = await getModCase(interaction.guildId, caseNumber);
+          if (!row) return interaction.reply({ content: `❌ Case #${caseNumber} not found.`, flags: 64 });
+
+          if (sub === 'view') {
+            const logMessage = await fetchModCaseLogMessage(row);
+            return interaction.reply({
+              content: logMessage ? `Mod-log entry: ${logMessage.url}` : undefined,
+              embeds: [buildModCaseEmbed(row)],
+              flags: 64,
+              allowedMentions: { parse: [] },
+            });
+          }
+
+          if (sub === 'edit-reason') {
+            const reason = interaction.options.getString('reason', true).trim();
+            if (!reason) return interaction.reply({ content: '❌ The reason cannot be empty.', flags: 64 });
+
+            await dbRun(`UPDATE mod_cases SET reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [reason, row.id]);
+            row.reason = reason;
+
+            let note = '';
+            const logMessage = await fetchModCaseLogMessage(row);
+            if (logMessage) {
+              await editMessageWithHistory(
+                logMessage,
+                { embeds: [buildModCaseEmbed(row)], allowedMentions: { parse: [] } },
+                { editedBy: interaction.user.id, source: 'case' }
+              ).catch((err) => {
+                logError(`Failed to update mod-log entry of case #${row.case_number}`, err);
+                note = ' The mod-log entry could not be updated.';
+              });
+            } else if (row.log_message_id) {
+              note = ' The mod-log entry no longer exists.';
+            }
+
+            logInfo(`Case #${row.case_number} reason edited by ${interaction.user.tag}`);
+            return interaction.reply({ content: `✅ Reason of case #${row.case_number} updated.${note}`, flags: 64 });
+          }
+
+          if (sub === 'delete') {
+            await dbRun(`UPDATE mod_cases SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+            const logMessage = await fetchModCaseLogMessage(row);
+            if (logMessage) await logMessage.delete().catch(() => {});
+
+            logInfo(`Case #${row.case_number} (${row.action} ${row.target_id}) deleted by ${interaction.user.tag}`);
+            return interaction.reply({ content: `🗑️ Case #${row.case_number} deleted.`, flags: 64 });
+          }
+
+          return interaction.reply({ content: 'Unknown subcommand.', flags: 64 });
+        } catch (err) {
+          logError('Case command failed', err);
+          return interaction.reply({ content: '❌ Internal error while managing cases.', flags: 64 });
         }
+      }
 
-        if (count < 1 || count > 100) {
-          return interaction.reply({ content: 'Count must be between 1 and 100.', flags: 64 });
+      // /modlog <user>
+      if (commandName === 'modlog') {
+        if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+          return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
-        await interaction.deferReply({ flags: 64 });
+        const user = interaction.options.getUser('user', true);
 
         try {
-          // fetch messages and bulk delete
-          const fetched = await targetChannel.messages.fetch({ limit: count }).catch(() => null);
-          if (!fetched || fetched.size === 0) {
-            return interaction.editReply({ content: 'No messages found to delete.' });
+          const rows = await dbAll(
+            `SELECT * FROM mod_cases
+             WHERE guild_id = ? AND target_id = ? AND action != 'purge' AND deleted_at IS NULL
+             ORDER BY case_number DESC`,
+            [interaction.guildId, user.id]
+          );
+          if (rows.length === 0) {
+            return interaction.reply({ content: `No cases for ${user} (\`${user.id}\`).`, flags: 64, allowedMentions: { parse: [] } });
           }
 
-          await targetChannel.bulkDelete(fetched, true).catch(async (err) => {
-            // fallback: delete individually if bulkDelete fails for older messages
-            logError('bulkDelete failed, attempting individual deletes', err);
-            for (const msg of fetched.values()) {
-              try {
-                await msg.delete().catch(() => {});
-              } catch (e) {
-                // ignore
-              }
-            }
-          });
+          const lines = [];
+          let length = 0;
+          for (const row of rows) {
+            const line = formatModCase(row);
+            if (length + line.length + 1 > 3800) break;
+            lines.push(line);
+            length += line.length + 1;
+          }
+
+          const embed = new EmbedBuilder()
+            .setTitle(`Mod log · ${user.tag}`)
+            .setColor(settings.embed_color)
+            .setDescription(
+              `${lines.join('\n')}${lines.length < rows.length ? `\n-# …and ${rows.length - lines.length} older case(s)` : ''}`
+            );
 
-          return interaction.editReply({ content: `✅ Deleted up to ${fetched.size} messages from ${targetChannel}.` });
+          return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
         } catch (err) {
-          logError('Purge failed', err);
-          return interaction.editReply({ content: '❌ Failed to purge messages.' });
+          logError('Modlog command failed', err);
+          return interaction.reply({ content: '❌ Internal error while reading the mod log.', flags: 64 });
         }
       }
 
-      // /timeout implementation
-      if (commandName === 'timeout') {
+      // /warn <user> <reason>
+      if (commandName === 'warn') {
         if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
           return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
         const user = interaction.options.getUser('user', true);
-        const minutes = interaction.options.getInteger('minutes', true);
-        const reason = interaction.options.getString('reason', false) || 'No reason provided';
-
-        if (minutes < 1 || minutes > 40320) {
-          return interaction.reply({ content: 'Minutes must be between 1 and 40320.', flags: 64 });
-        }
+        const reason = interaction.options.getString('reason', true).trim();
+        if (!reason) return interaction.reply({ content: '❌ The reason cannot be empty.', flags: 64 });
+        if (user.bot) return interaction.reply({ content: '❌ Bots cannot be warned.', flags: 64 });
 
         await interaction.deferReply({ flags: 64 });
 
         try {
-          const guild = interaction.guild;
-          const member = await guild.members.fetch(user.id).catch(() => null);
+          const member = await interaction.guild.members.fetch(user.id).catch(() => null);
           if (!member) return interaction.editReply({ content: 'User not found in this guild.' });
 
-          const durationMs = minutes * 60 * 1000;
-          await member.timeout(durationMs, reason).catch((err) => { throw err; });
+          const result = await warnUser(interaction.guild, member, { reason, moderatorId: interaction.user.id, settings });
+          logInfo(`Warning #${result.warning.id} for ${user.tag} by ${interaction.user.tag} (${result.activeCount} active)`);
 
-          return interaction.editReply({ content: `✅ ${user.tag} has been timed out for ${minutes} minute(s).` });
+          const lines = [
+            `⚠️ ${user.tag} has been warned (warning #${result.warning.id}, ${result.activeCount} active)${modCaseSuffix(result.modCase)}.`,
+          ];
+          if (result.step && result.escalationError) {
+            lines.push(`❌ Escalation (${warnStepAction(result.step)}) failed. Ensure I have the permission and role hierarchy.`);
+          } else if (result.step) {
+            lines.push(`🔨 Escalated: ${warnStepAction(result.step)}${modCaseSuffix(result.escalation)}.`);
+          }
+          if (!result.dmSent) lines.push('-# The member could not be DMed (DMs closed).');
+
+          return interaction.editReply({ content: lines.join('\n') });
         } catch (err) {
-          logError('Timeout failed', err);
-          return interaction.editReply({ content: '❌ Failed to timeout user. Ensure I have Manage Members permission and role hierarchy.' });
+          logError('Warn failed', err);
+          return interaction.editReply({ content: '❌ Failed to warn user.' });
         }
       }
 
-      // /untimeout implementation
-      if (commandName === 'untimeout') {
+      // /warnings <user>
+      if (commandName === 'warnings') {
         if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
           return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
         const user = interaction.options.getUser('user', true);
-        await interaction.deferReply({ flags: 64 });
 
         try {
-          const guild = interaction.guild;
-          const member = await guild.members.fetch(user.id).catch(() => null);
-          if (!member) return interaction.editReply({ content: 'User not found in this guild.' });
+          const active = await getActiveWarnings(interaction.guildId, user.id);
+          const { total } = await dbGet(`SELECT COUNT(*) AS total FROM warnings WHERE guild_id = ? AND user_id = ?`, [
+            interaction.guildId,
+            user.id,
+          ]);
+
+          const ladder = settings.warn_escalation || [];
+          const footer = [
+            total > active.length ? `${total - active.length} expired warning(s) not shown` : null,
+            ladder.length ? `Escalation: ${ladder.map(formatWarnStep).join(', ')}` : 'No escalation configured',
+          ]
+            .filter(Boolean)
+            .map((l) => `-# ${l}`)
+            .join('\n');
+
+          const lines = [];
+          let length = footer.length;
+          for (const row of active.slice().reverse()) {
+            const line = formatWarning(row);
+            if (length + line.length + 2 > 3800) break;
+            lines.push(line);
+            length += line.length + 2;
+          }
 
-          await member.timeout(null).catch((err) => { throw err; });
+          const embed = new EmbedBuilder()
+            .setTitle(`Warnings · ${user.tag} (${active.length} active)`.slice(0, 256))
+            .setColor(settings.embed_color)
+            .setDescription(`${lines.length ? lines.join('\n\n') : 'No active warnings.'}\n\n${footer}`);
 
-          return interaction.editReply({ content: `✅ Timeout removed for ${user.tag}.` });
+          return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
         } catch (err) {
-          logError('UnTimeout failed', err);
-          return interaction.editReply({ content: '❌ Failed to remove timeout. Ensure I have Manage Members permission and role hierarchy.' });
+          logError('Warnings command failed', err);
+          return interaction.reply({ content: '❌ Internal error while reading warnings.', flags: 64 });
         }
       }
 
-      // /ban implementation
-      if (commandName === 'ban') {
+      // /clearwarn <user> [id]
+      if (commandName === 'clearwarn') {
         if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
           return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
         const user = interaction.options.getUser('user', true);
-        const reason = interaction.options.getString('reason', false) || 'No reason provided';
-        const deleteDays = interaction.options.getInteger('delete_days', false) || 0;
-
-        if (deleteDays < 0 || deleteDays > 7) {
-          return interaction.reply({ content: 'delete_days must be between 0 and 7.', flags: 64 });
-        }
-
-        await interaction.deferReply({ flags: 64 });
+        const warningId = interaction.options.getInteger('id', false);
 
         try {
-          const guild = interaction.guild;
-          await guild.bans.create(user.id, { days: deleteDays, reason }).catch((err) => { throw err; });
+          const { changes } = warningId
+            ? await dbRun(`DELETE FROM warnings WHERE id = ? AND guild_id = ? AND user_id = ?`, [warningId, interaction.guildId, user.id])
+            : await dbRun(`DELETE FROM warnings WHERE guild_id = ? AND user_id = ?`, [interaction.guildId, user.id]);
+
+          if (warningId && changes === 0) {
+            return interaction.reply({ content: `❌ Warning #${warningId} not found for ${user.tag}.`, flags: 64 });
+          }
 
-          return interaction.editReply({ content: `✅ ${user.tag} has been banned. Reason: ${reason}` });
+          logInfo(`Cleared ${changes} warning(s) of ${user.tag}${warningId ? ` (#${warningId})` : ''} by ${interaction.user.tag}`);
+          return interaction.reply({
+            content: warningId ? `✅ Warning #${warningId} removed from ${user.tag}.` : `✅ Cleared ${changes} warning(s) of ${user.tag}.`,
+            flags: 64,
+          });
         } catch (err) {
-          logError('Ban failed', err);
-          return interaction.editReply({ content: '❌ Failed to ban user. Ensure I have Ban Members permission and role hierarchy.' });
+          logError('Clearwarn failed', err);
+          return interaction.reply({ content: '❌ Internal error while clearing warnings.', flags: 64 });
         }
       }
 
-      // /unban implementation
-      if (commandName === 'unban') {
+      // /tempbans
+      if (commandName === 'tempbans') {
         if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
           return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
         }
 
-        const userId = interaction.options.getString('user_id', true);
-        const reason = interaction.options.getString('reason', false) || 'No reason provided';
-
-        await interaction.deferReply({ flags: 64 });
-
         try {
-          const guild = interaction.guild;
-          await guild.bans.remove(userId, reason).catch((err) => { throw err; });
+          const rows = await dbAll(`SELECT * FROM temp_bans WHERE guild_id = ? AND status = 'ACTIVE' ORDER BY ends_at, id`, [
+            interaction.guildId,
+          ]);
+          if (rows.length === 0) return interaction.reply({ content: 'No active temporary bans.', flags: 64 });
+
+          const lines = [];
+          let length = 0;
+          for (const row of rows) {
+            const ends = sqliteTimeToUnix(row.ends_at);
+            const line = `<@${row.user_id}> (\`${row.user_id}\`)${row.case_number ? ` · case #${row.case_number}` : ''} · ends ${
+              ends ? `<t:${ends}:R> (<t:${ends}:f>)` : row.ends_at
+            } · by <@${row.moderator_id}>${row.reason ? ` · ${row.reason.slice(0, 80)}` : ''}${
+              row.attempts ? ` · ⚠️ lift failed ${row.attempts}x, retrying` : ''
+            }`;
+            if (length + line.length + 1 > 3800) break;
+            lines.push(line);
+            length += line.length + 1;
+          }
+
+          const embed = new EmbedBuilder()
+            .setTitle(`⏳ Temporary bans (${rows.length})`)
+            .setColor(settings.embed_color)
+            .setDescription(`${lines.join('\n')}${lines.length < rows.length ? `\n-# …and ${rows.length - lines.length} more` : ''}`);
 
-          return interaction.editReply({ content: `✅ User ID ${userId} has been unbanned. Reason: ${reason}` });
+          return interaction.reply({ embeds: [embed], flags: 64, allowedMentions: { parse: [] } });
         } catch (err) {
-          logError('Unban failed', err);
-          return interaction.editReply({ content: '❌ Failed to unban user. Ensure the ID is correct and I have Ban Members permission.' });
+          logError('Tempbans command failed', err);
+          return interaction.reply({ content: '❌ Internal error while reading temporary bans.', flags: 64 });
         }
       }
 
@@ -955,6 +7401,7 @@ if (commandName === 'verifyemb') {
         const parts = id.split(':');
         const channelId = parts[1];
         const messageId = parts[2];
+        const uploadKey = parts[3];
 
         await interaction.deferReply({ flags: 64 });
 
@@ -984,48 +7431,89 @@ if (commandName === 'verifyemb') {
             content: 'Message has no embeds to edit.',
           });
 
-        const newTitle = (interaction.fields.getTextInputValue('edit_title') || '').trim();
-        const newDescription = (interaction.fields.getTextInputValue('edit_description') || '').trim();
-
-        const images = [];
-        for (let i = 1; i <= 3; i++) {
+        // Blank keeps the current value, "-" removes it
+        const current = readEditableEmbed(message);
+        const readField = (customId) => {
           try {
-            const v = (interaction.fields.getTextInputValue(`edit_image_${i}`) || '').trim();
-            if (v && looksLikeUrl(v)) images.push(v);
+            return (interaction.fields.getTextInputValue(customId) || '').trim();
           } catch (e) {
-            // ignore
+            return ''; // field missing from an older modal
           }
+        };
+        const resolveField = (customId, currentValue) => {
+          const v = readField(customId);
+          if (!v) return currentValue || '';
+          return v === '-' ? '' : v;
+        };
+
+        const newTitle = resolveField('edit_title', current.title);
+        const newDescription = resolveField('edit_description', current.body);
+
+        const pendingFiles = peekUploads(uploadKey, interaction.user.id);
+        if (pendingFiles.error) return interaction.editReply({ content: `❌ ${pendingFiles.error}` });
+
+        // A blank slot with an upload uses the file; only URLs that changed are checked
+        const images = [];
+        const changedImages = [];
+        for (let i = 1; i <= 3; i++) {
+          const ref = uploadRef(pendingFiles.files, `image${i}`);
+          const v = ref && !readField(`edit_image_${i}`) ? ref : resolveField(`edit_image_${i}`, current.images[i - 1]);
+          if (!v) continue;
+          if (v !== current.images[i - 1]) changedImages.push([`Image URL ${i}`, v]);
+          images.push(v);
         }
+        // Image-only embeds beyond the three modal slots are left as they are
+        images.push(...current.images.slice(3));
+
+        const problems = await findBrokenImages(changedImages);
+        if (problems.length) return interaction.editReply(brokenImagesReply(interaction, problems));
+
+        // Uploads are only consumed once the URLs passed, so a typo doesn't cost the attachments
+        const uploaded = await takeUploads(uploadKey, interaction.user.id);
+        if (uploaded.error) return interaction.editReply({ content: `❌ ${uploaded.error}` });
 
-        // Build new embeds:
-        // If no images: single embed with title+description + Edit By line
-        // If images: first embed contains title+description+Edit By line, then up to 3 image-only embeds
+        // Start from the current embed so thumbnail, colour, fields, author and link survive.
+        // The attribution line is replaced (not stacked): "Edit By", or the rights line on /updates posts.
         const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
         const editTs = Math.floor(Date.now() / 1000);
+        const primary = EmbedBuilder.from(message.embeds[0]);
+        const color = primary.data.color ?? settings.embed_color;
 
-        const newEmbeds = [];
+        const attributed = buildEmbed({
+          title: newTitle,
+          description: newDescription,
+          authorDisplayName,
+          mode: current.rightsTs ? 'updates' : 'edit',
+          timestamp: current.rightsTs || editTs,
+          color,
+          brandName: settings.brand_name,
+        });
 
-        // Primary embed (title + description + Edit By)
-        newEmbeds.push(
-          buildEmbed({
-            title: newTitle,
-            description: newDescription,
-            imageUrl: null,
-            thumbnailUrl: null,
-            authorDisplayName,
-            mode: 'edit',
-            timestamp: editTs,
-          })
-        );
+        primary.setTitle(attributed.data.title || null);
+        primary.setDescription(attributed.data.description || null);
+        primary.setImage(images.length === 1 ? images[0] : null);
+
+        const newEmbeds = [primary];
+
+        // Several images: image-only embeds after the primary (same layout as /embed)
+        if (images.length > 1) {
+          for (const img of images) newEmbeds.push(new EmbedBuilder().setColor(color).setImage(img));
+        }
 
-        // Additional image-only embeds (if any)
-        for (const img of images) {
-          const e = new EmbedBuilder().setColor(EMBED_COLOR).setImage(img);
-          newEmbeds.push(e);
+        // Any other embeds on the message (e.g. from /embed_json) are kept after the images
+        newEmbeds.push(...current.otherEmbeds.map((e) => EmbedBuilder.from(e)));
+        if (newEmbeds.length > 10) {
+          return interaction.editReply({ content: '❌ That would put more than 10 embeds on the message.' });
         }
 
         try {
-          await message.edit({ embeds: newEmbeds });
+          const edit = { embeds: newEmbeds };
+          if (uploaded.files.length) {
+            // Keep the message's earlier uploads; the current embeds may still point at them
+            edit.files = filesToAttachments(uploaded.files);
+            edit.attachments = message.attachments ? [...message.attachments.values()] : [];
+          }
+          await editMessageWithHistory(message, edit, { editedBy: interaction.user.id, source: 'editembed' });
           return interaction.editReply({
             content: '✅ Embed edited successfully.',
           });
@@ -1039,21 +7527,21 @@ if (commandName === 'verifyemb') {
 
       // embedModal (original multi-image)
       if (id.startsWith('embedModal:')) {
-        const channelId = id.split(':')[1];
+        const [, channelId, scheduleValue, templateName, uploadKey] = id.split(':');
+        const schedule = decodeSchedule(scheduleValue);
+        const template = templateName ? await getEmbedTemplate(interaction.guild.id, templateName).catch(() => null) : null;
 
         const title = (interaction.fields.getTextInputValue('embed_title') || '').trim();
         const description =
           (interaction.fields.getTextInputValue('embed_description') || '')
             .replace(/\\n/g, '\n') || '';
 
-        const images = [];
+        const imageInputs = [];
         for (let i = 1; i <= MAX_IMAGES; i++) {
           try {
-            const v =
-              (interaction.fields.getTextInputValue(`embed_image_${i}`) || '').trim();
-            if (v && looksLikeUrl(v)) images.push(v);
+            imageInputs.push((interaction.fields.getTextInputValue(`embed_image_${i}`) || '').trim());
           } catch (e) {
-            // ignore
+            imageInputs.push('');
           }
         }
 
@@ -1070,61 +7558,49 @@ if (commandName === 'verifyemb') {
 
         await interaction.deferReply({ flags: 64 });
 
-        try {
-          const embedsToSend = [];
-          const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+        const problems = await findBrokenImages([
+          ...imageInputs.map((v, i) => [`Image URL ${i + 1}`, v]),
+          ['Template thumbnail', template ? template.thumbnail : null],
+        ]);
+        if (problems.length) return interaction.editReply(brokenImagesReply(interaction, problems));
 
-          if (images.length === 0) {
-            embedsToSend.push(
-              buildEmbed({
-                title,
-                description,
-                imageUrl: null,
-                thumbnailUrl: null,
-                authorDisplayName,
-                mode: 'submit',
-              })
-            );
-          } else if (images.length === 1) {
-            embedsToSend.push(
-              buildEmbed({
-                title,
-                description,
-                imageUrl: images[0],
-                thumbnailUrl: null,
-                authorDisplayName,
-                mode: 'submit',
-              })
-            );
-          } else {
-            // First embed: title + description + appended submitted line
-            embedsToSend.push(
-              buildEmbed({
-                title,
-                description,
-                imageUrl: null,
-                thumbnailUrl: null,
-                authorDisplayName,
-                mode: 'submit',
-              })
-            );
+        const uploaded = await takeUploads(uploadKey, interaction.user.id);
+        if (uploaded.error) return interaction.editReply({ content: `❌ ${uploaded.error}` });
 
-            // Additional image-only embeds
-            for (const img of images) {
-              const imageOnly = new EmbedBuilder().setColor(EMBED_COLOR).setImage(img);
-              embedsToSend.push(imageOnly);
-            }
-          }
+        // Typed URLs win over uploads for the same slot
+        const images = imageInputs.map((v, i) => v || uploadRef(uploaded.files, `image${i + 1}`)).filter(Boolean);
 
-          const chunkSize = 10;
-          for (let i = 0; i < embedsToSend.length; i += chunkSize) {
-            const chunk = embedsToSend.slice(i, i + chunkSize);
-            await targetChannel.send({
-              embeds: chunk,
-              allowedMentions: { parse: [] },
+        try {
+          const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+          const payload = {
+            title,
+            description,
+            images,
+            files: uploaded.files.filter((f) => images.includes(`attachment://${f.name}`)),
+            thumbnail: template ? template.thumbnail : null,
+            color: template ? template.color : null,
+            authorDisplayName,
+          };
+
+          if (schedule) {
+            const postId = await createScheduledPost({
+              guildId: interaction.guild.id,
+              kind: 'embed',
+              channelId: targetChannel.id,
+              payload,
+              schedule,
+              createdBy: interaction.user.id,
             });
+            logInfo(`Embed scheduled (#${postId}) for #${targetChannel.name} by ${interaction.user.tag}`);
+            return interaction.editReply({ content: scheduledReply(postId, schedule, targetChannel) });
           }
 
+          await sendEmbedsInChunks(
+            targetChannel,
+            buildPostEmbeds('embed', payload, settings, interaction.guild),
+            filesToAttachments(payload.files)
+          );
+
           logInfo(
             `Embed(s) sent to #${targetChannel.name} (${targetChannel.id}) by ${interaction.user.tag}`
           );
@@ -1142,15 +7618,16 @@ if (commandName === 'verifyemb') {
 
       // embedSimpleModal (new: one image + thumbnail)
       if (id.startsWith('embedSimpleModal:')) {
-        const channelId = id.split(':')[1];
+        const [, channelId, scheduleValue, uploadKey] = id.split(':');
+        const schedule = decodeSchedule(scheduleValue);
 
         const title = (interaction.fields.getTextInputValue('simple_title') || '').trim();
         const description =
           (interaction.fields.getTextInputValue('simple_description') || '')
             .replace(/\\n/g, '\n') || '';
 
-        const image = (interaction.fields.getTextInputValue('simple_image') || '').trim();
-        const thumbnail = (interaction.fields.getTextInputValue('simple_thumbnail') || '').trim();
+        const imageInput = (interaction.fields.getTextInputValue('simple_image') || '').trim();
+        const thumbnailInput = (interaction.fields.getTextInputValue('simple_thumbnail') || '').trim();
 
         const targetChannel =
           interaction.guild.channels.cache.get(channelId) ||
@@ -1165,22 +7642,42 @@ if (commandName === 'verifyemb') {
 
         await interaction.deferReply({ flags: 64 });
 
+        const problems = await findBrokenImages([
+          ['Image URL', imageInput],
+          ['Thumbnail URL', thumbnailInput],
+        ]);
+        if (problems.length) return interaction.editReply(brokenImagesReply(interaction, problems));
+
+        const uploaded = await takeUploads(uploadKey, interaction.user.id);
+        if (uploaded.error) return interaction.editReply({ content: `❌ ${uploaded.error}` });
+
+        // Typed URLs win over uploads for the same slot
+        const image = imageInput || uploadRef(uploaded.files, 'image') || '';
+        const thumbnail = thumbnailInput || uploadRef(uploaded.files, 'thumbnail') || '';
+
         try {
           const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+          const files = uploaded.files.filter((f) => [image, thumbnail].includes(`attachment://${f.name}`));
+          const payload = { title, description, image, thumbnail, files, authorDisplayName };
+
+          if (schedule) {
+            const postId = await createScheduledPost({
+              guildId: interaction.guild.id,
+              kind: 'embed_simple',
+              channelId: targetChannel.id,
+              payload,
+              schedule,
+              createdBy: interaction.user.id,
+            });
+            logInfo(`Simple embed scheduled (#${postId}) for #${targetChannel.name} by ${interaction.user.tag}`);
+            return interaction.editReply({ content: scheduledReply(postId, schedule, targetChannel) });
+          }
 
-          const embedToSend = buildEmbed({
-            title,
-            description,
-            imageUrl: looksLikeUrl(image) ? image : null,
-            thumbnailUrl: looksLikeUrl(thumbnail) ? thumbnail : null,
-            authorDisplayName,
-            mode: 'submit',
-          });
-
-          await targetChannel.send({
-            embeds: [embedToSend],
-            allowedMentions: { parse: [] },
-          });
+          await sendEmbedsInChunks(
+            targetChannel,
+            buildPostEmbeds('embed_simple', payload, settings, interaction.guild),
+            filesToAttachments(files)
+          );
 
           logInfo(
             `Simple embed sent to #${targetChannel.name} (${targetChannel.id}) by ${interaction.user.tag}`
@@ -1197,72 +7694,193 @@ if (commandName === 'verifyemb') {
         }
       }
 
+      // scheduledEditModal:<id> (/scheduled edit)
+      if (id.startsWith('scheduledEditModal:')) {
+        const postId = parseInt(id.split(':')[1], 10);
+        const row = await dbGet(`SELECT * FROM scheduled_posts WHERE id = ? AND guild_id = ?`, [postId, interaction.guild.id]);
+
+        if (!row || row.status !== 'PENDING') {
+          return interaction.reply({ content: `❌ Scheduled post #${postId} is no longer pending.`, flags: 64 });
+        }
+
+        const parsed = parseScheduleTime(interaction.fields.getTextInputValue('sched_when'));
+        if (parsed.error) return interaction.reply({ content: `❌ ${parsed.error}`, flags: 64 });
+        const windowError = scheduleWindowError(parsed.postAt);
+        if (windowError) return interaction.reply({ content: `❌ ${windowError}`, flags: 64 });
+
+        const payload = JSON.parse(row.payload);
+        const imageChecks = [];
+        for (const [key, label] of SCHEDULED_EDIT_FIELDS[row.kind] || []) {
+          const value = (interaction.fields.getTextInputValue(`sched_${key}`) || '').trim();
+          if (key === 'images') {
+            const urls = value.split(/\s+/).filter(Boolean).slice(0, MAX_IMAGES);
+            urls.forEach((url, i) => imageChecks.push([`Image URL ${i + 1}`, url]));
+            payload[key] = urls;
+          } else {
+            if (/^(image\d?|thumbnail)$/.test(key)) imageChecks.push([label.replace(/ \(optional\)$/, ''), value]);
+            payload[key] = key === 'description' && row.kind !== 'updates' ? value.replace(/\\n/g, '\n') : value;
+          }
+        }
+
+        await interaction.deferReply({ flags: 64 });
+
+        const problems = await findBrokenImages(imageChecks);
+        if (problems.length) return interaction.editReply(brokenImagesReply(interaction, problems));
+
+        const result = await dbRun(
+          `UPDATE scheduled_posts SET payload = ?, post_at = ?, timezone = ? WHERE id = ? AND status = 'PENDING'`,
+          [JSON.stringify(payload), unixToSqliteTime(parsed.postAt), parsed.timeZone, postId]
+        );
+        if (result.changes === 0) {
+          return interaction.editReply({ content: `❌ Scheduled post #${postId} is no longer pending.` });
+        }
+
+        logInfo(`Scheduled post #${postId} edited by ${interaction.user.tag}`);
+        return interaction.editReply({
+          content: `✅ Scheduled post #${postId} updated; posts at <t:${parsed.postAt}:F> (<t:${parsed.postAt}:R>).`,
+        });
+      }
+
+      // templateModal:<name> (/template save)
+      if (id.startsWith('templateModal:')) {
+        const name = normalizeTemplateName(id.split(':')[1]);
+        if (!name) return interaction.reply({ content: '❌ Invalid template name.', flags: 64 });
+
+        const title = (interaction.fields.getTextInputValue('tpl_title') || '').trim();
+        const description = (interaction.fields.getTextInputValue('tpl_description') || '').trim();
+        const imageLines = (interaction.fields.getTextInputValue('tpl_images') || '').split(/\s+/).filter(Boolean);
+        const thumbnail = (interaction.fields.getTextInputValue('tpl_thumbnail') || '').trim();
+        const colorRaw = (interaction.fields.getTextInputValue('tpl_color') || '').trim();
+
+        const badUrls = [...imageLines, thumbnail].filter((u) => u && !looksLikeUrl(u));
+        if (badUrls.length) {
+          return interaction.reply({ content: `❌ Not a valid http(s) URL: ${badUrls.map((u) => `\`${u.slice(0, 80)}\``).join(', ')}`, flags: 64 });
+        }
+        if (imageLines.length > MAX_IMAGES) {
+          return interaction.reply({ content: `❌ A template can hold at most ${MAX_IMAGES} images.`, flags: 64 });
+        }
+
+        let color = null;
+        if (colorRaw) {
+          const parsed = parseHexColor(colorRaw);
+          if (parsed == null) return interaction.reply({ content: '❌ Colour must be a hex value like `#5865F2`.', flags: 64 });
+          color = `#${parsed.toString(16).padStart(6, '0').toUpperCase()}`;
+        }
+
+        if (!title && !description && imageLines.length === 0) {
+          return interaction.reply({ content: '❌ A template needs a title, description or at least one image.', flags: 64 });
+        }
+
+        try {
+          await dbRun(
+            `INSERT INTO embed_templates (guild_id, name, title, description, images, thumbnail, color, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(guild_id, name) DO UPDATE SET
+               title = excluded.title, description = excluded.description, images = excluded.images,
+               thumbnail = excluded.thumbnail, color = excluded.color, created_by = excluded.created_by,
+               updated_at = CURRENT_TIMESTAMP`,
+            [
+              interaction.guild.id,
+              name,
+              title || null,
+              description || null,
+              JSON.stringify(imageLines),
+              thumbnail || null,
+              color,
+              interaction.user.id,
+            ]
+          );
+        } catch (err) {
+          logError('Failed to save embed template', err);
+          return interaction.reply({ content: '❌ Failed to save template.', flags: 64 });
+        }
+
+        logInfo(`Embed template "${name}" saved by ${interaction.user.tag}`);
+        return interaction.reply({ content: `✅ Template \`${name}\` saved. Use it with \`/embed template:${name}\`.`, flags: 64 });
+      }
+
       // updatesModal (improved: 2 optional images; special title 🧊𝐔𝐩𝐝𝐚𝐭𝐞𝐬🧊)
-      if (id === 'updatesModal') {
+      if (id === 'updatesModal' || id.startsWith('updatesModal:')) {
+        const [, scheduleValue, uploadKey] = id.split(':');
+        const schedule = decodeSchedule(scheduleValue);
         const description =
           interaction.fields.getTextInputValue('updates_description') || '';
-        const image1 =
+        const image1Input =
           (interaction.fields.getTextInputValue('updates_image_1') || '').trim();
-        const image2 =
+        const image2Input =
           (interaction.fields.getTextInputValue('updates_image_2') || '').trim();
 
-        if (UPDATES_IDS.length === 0) {
+        if (settings.updates_channels.length === 0) {
           return interaction.reply({
-            content: 'UPDATES_CHANNEL_IDS is not configured in .env.',
+            content: 'No updates channel configured. Set one with `/config set updates_channels`.',
             flags: 64,
           });
         }
 
         await interaction.deferReply({ flags: 64 });
 
-        const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+        const problems = await findBrokenImages([
+          ['Image URL 1', image1Input],
+          ['Image URL 2', image2Input],
+        ]);
+        if (problems.length) return interaction.editReply(brokenImagesReply(interaction, problems));
 
-        // Build primary embed with special title
-        const primaryEmbed = buildEmbed({
-          title: '🧊𝐔𝐩𝐝𝐚𝐭𝐞𝐬🧊',
-          description,
-          imageUrl: looksLikeUrl(image1) ? image1 : null,
-          thumbnailUrl: looksLikeUrl(image2) ? image2 : null,
-          authorDisplayName,
-          mode: 'updates',
-        });
+        const uploaded = await takeUploads(uploadKey, interaction.user.id);
+        if (uploaded.error) return interaction.editReply({ content: `❌ ${uploaded.error}` });
 
-        const cid = UPDATES_IDS[0];
+        // Typed URLs win over uploads for the same slot
+        const image1 = image1Input || uploadRef(uploaded.files, 'image1') || '';
+        const image2 = image2Input || uploadRef(uploaded.files, 'image2') || '';
+        const files = uploaded.files.filter((f) => [image1, image2].includes(`attachment://${f.name}`));
 
-        try {
-          const channel =
-            interaction.guild.channels.cache.get(cid) ||
-            (await interaction.guild.channels.fetch(cid).catch(() => null));
+        const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+        const payload = { description, image1, image2, files, authorDisplayName };
 
-          if (!channel || channel.type !== ChannelType.GuildText) {
-            logError(`Invalid or non-text channel: ${cid}`);
-            return interaction.editReply({
-              content: 'Configured updates channel not found.',
+        if (schedule) {
+          try {
+            const postId = await createScheduledPost({
+              guildId: interaction.guild.id,
+              kind: 'updates',
+              payload,
+              schedule,
+              createdBy: interaction.user.id,
             });
+            logInfo(`Update scheduled (#${postId}) by ${interaction.user.tag}`);
+            return interaction.editReply({ content: scheduledReply(postId, schedule, 'the updates channels') });
+          } catch (err) {
+            logError('Failed to schedule update', err);
+            return interaction.editReply({ content: 'Failed to schedule update.' });
           }
+        }
 
-          await channel.send({
-            content: '@everyone',
-            embeds: [primaryEmbed],
-            allowedMentions: { parse: ['everyone'] },
-          });
+        // Primary embed with the special updates title
+        const [primaryEmbed] = buildPostEmbeds('updates', payload, settings, interaction.guild);
 
-          return interaction.editReply({
-            content: `Update posted to ${channel}.`,
-          });
-        } catch (err) {
-          logError('Failed to send update', err);
-          return interaction.editReply({
-            content: 'Failed to send update.',
-          });
-        }
+        const report = await postUpdateToTargets(interaction.guild, settings.updates_channels, primaryEmbed, filesToAttachments(files));
+        const posted = report.filter((r) => r.ok).length;
+
+        return interaction.editReply({
+          content: [`Update posted to ${posted}/${report.length} channel(s).`, ...report.map((r) => r.line)].join('\n'),
+          allowedMentions: { parse: [] },
+        });
       }
 
-      // invoice_modal (SELL.APP logic left intact; unchanged)
-      if (id === 'invoice_modal') {
+      // invoice_modal[:provider] (storefront lookup; role assignment shared with the webhook listener)
+      if (id === 'invoice_modal' || id.startsWith('invoice_modal:')) {
+        const pinnedProviderId = id.split(':')[1];
+        let provider = getProvider(pinnedProviderId, settings.verify_provider);
         const invoiceId =
           (interaction.fields.getTextInputValue('invoice_id') || '').trim();
 
+        let enteredEmail = '';
+        if (settings.email_mode !== 'off') {
+          try {
+            enteredEmail = (interaction.fields.getTextInputValue('invoice_email') || '').trim();
+          } catch (e) {
+            // modal opened before the email field was enabled
+          }
+        }
+
         if (!invoiceId) {
           return interaction.reply({
             content: '❌ Invoice ID is required.',
@@ -1272,251 +7890,437 @@ if (commandName === 'verifyemb') {
 
         await interaction.deferReply({ flags: 64 });
 
-        db.get(
-          `SELECT discord_id, status FROM verifications WHERE invoice_id = ?`,
-          [invoiceId],
-          async (err, row) => {
-            if (err) {
-              logError('DB error checking invoice reuse', err);
-              return interaction.editReply({
-                content: '❌ Internal error while checking invoice. Try again later.',
-              });
-            }
+        // Every outcome is replied to the user and mirrored to the verification log channel.
+        // strike: the failure was caused by the invoice entered and counts towards the lockout.
+        const attempt = { user: interaction.user, invoiceId, provider: provider.name, status: null, productIds: [] };
+        const finish = async (content, outcome, result, errorReason = null, { strike = false } = {}) => {
+          logVerificationAttempt({ ...attempt, guild: interaction.guild, outcome, result, errorReason });
+          if (strike) {
+            await recordVerificationFailure({ guild: interaction.guild, user: interaction.user, invoiceId, reason: result });
+          }
+          return interaction.editReply({ content });
+        };
 
-            if (row) {
-              return interaction.editReply({
-                content: `❌ Invoice ID ${invoiceId} is already used by another discord account.`,
-              });
-            }
+        const lockout = await getActiveLockout(interaction.user.id).catch(() => null);
+        if (lockout) {
+          return finish(lockoutMessage(lockout), 'failure', 'Locked out', 'User is locked out after repeated failures');
+        }
 
-            try {
-              const url = `https://sell.app/api/v2/invoices/${encodeURIComponent(
-                invoiceId
-              )}`;
+        try {
+          // A panel pinned to a storefront only checks that one
+          const candidates = PROVIDERS[pinnedProviderId]
+            ? [provider].filter((p) => p.isConfigured())
+            : await verifyProviderCandidates(interaction.guildId, provider);
+          if (candidates.length === 0) {
+            return finish(
+              `❌ ${provider.name} verification is not configured. Contact staff.`,
+              'failure',
+              'Provider not configured',
+              `${provider.name} credentials missing`
+            );
+          }
 
-              const resp = await axios.get(url, {
-                headers: { Authorization: `Bearer ${SELLAPP_API_KEY}` },
-                timeout: 10000,
-              });
+          let invoice;
+          for (const [i, candidate] of candidates.entries()) {
+            provider = candidate;
+            attempt.provider = provider.name;
+            try {
+              invoice = await provider.fetchInvoice(invoiceId);
+              break;
+            } catch (fetchErr) {
+              // Not in this storefront; the last one's 404 is reported below
+              const notFound = fetchErr.response && fetchErr.response.status === 404;
+              if (!notFound || i === candidates.length - 1) throw fetchErr;
+            }
+          }
 
-              const invoice = resp.data?.data ?? resp.data ?? null;
+          if (!invoice) {
+            return finish(
+              `❌ Invoice not found or invalid response from ${provider.name}.`,
+              'failure',
+              'Invalid response',
+              `Empty invoice object from ${provider.name}`
+            );
+          }
 
-              console.log(
-                'DEBUG: full invoice object for',
-                invoiceId,
-                '\n',
-                JSON.stringify(invoice, null, 2)
+          // Checked before anything else so a wrong email reveals nothing about the invoice
+          if (settings.email_mode === 'required' || (settings.email_mode === 'optional' && enteredEmail)) {
+            if (!emailsMatch(enteredEmail, provider.extractEmail(invoice))) {
+              return finish(
+                '❌ Could not verify this invoice. Check the invoice ID and email and try again.',
+                'failure',
+                'Email mismatch',
+                'Entered email does not match the invoice',
+                { strike: true }
               );
+            }
+          }
 
-              if (!invoice) {
-                return interaction.editReply({
-                  content:
-                    '❌ Invoice not found or invalid response from Sell.app.',
-                });
-              }
+          // Only after the email check, so the invoice ID alone doesn't tell whether it was claimed
+          let row;
+          try {
+            row = await dbGet(
+              `SELECT discord_id, status FROM verifications WHERE invoice_id = ? AND IFNULL(provider, 'sellapp') = ?`,
+              [invoiceId, provider.id]
+            );
+          } catch (err) {
+            logError('DB error checking invoice reuse', err);
+            return finish(
+              '❌ Internal error while checking invoice. Try again later.',
+              'failure',
+              'DB error',
+              err.message
+            );
+          }
 
-              let currentStatus = extractInvoiceStatus(invoice);
-              if (currentStatus) currentStatus = String(currentStatus).toUpperCase();
+          if (row) {
+            attempt.status = row.status;
+            return finish(
+              `❌ Invoice ID ${invoiceId} is already used by another discord account.`,
+              'failure',
+              'Already used',
+              `Linked to <@${row.discord_id}>`,
+              { strike: true }
+            );
+          }
 
-              logInfo(
-                `Invoice ${invoiceId} status extracted: ${currentStatus}`
-              );
+          const currentStatus = provider.extractStatus(invoice);
+          attempt.status = currentStatus;
+          attempt.productIds = provider.extractProductIds(invoice);
 
-              const validStatuses = [
-                'PAID',
-                'COMPLETED',
-                'FULFILLED',
-                'SUCCESS',
-              ];
-
-              if (!currentStatus || !validStatuses.includes(currentStatus)) {
-                return interaction.editReply({
-                  content: `❌ Invoice status is ${
-                    currentStatus || 'UNKNOWN'
-                  }. Not eligible.`,
-                });
-              }
+          logInfo(
+            `${provider.name} invoice ${invoiceId} status extracted: ${currentStatus}`
+          );
 
-              let productId = null;
-              if (invoice.product_id) {
-                productId = String(invoice.product_id);
-              } else if (
-                invoice.items &&
-                Array.isArray(invoice.items) &&
-                invoice.items.length > 0
-              ) {
-                const it = invoice.items[0];
-                productId = it.product_id || it.id || it.sku || null;
-              }
+          if (!currentStatus || !VALID_INVOICE_STATUSES.includes(currentStatus)) {
+            return finish(
+              `❌ Invoice status is ${currentStatus || 'UNKNOWN'}. Not eligible.`,
+              'failure',
+              'Not eligible',
+              `Status ${currentStatus || 'UNKNOWN'}`,
+              { strike: true }
+            );
+          }
 
-              function assignRoleAndPersist(roleIdToUse) {
-                const roleIdStr = String(roleIdToUse);
-
-                db.run(
-                  `
-                    INSERT INTO verifications
-                      (invoice_id, discord_id, product_id, role_id, status)
-                    VALUES (?, ?, ?, ?, ?)
-                  `,
-                  [
-                    invoiceId,
-                    String(interaction.user.id),
-                    productId,
-                    roleIdStr,
-                    currentStatus,
-                  ],
-                  async function (dbErr) {
-                    if (dbErr) {
-                      if (dbErr.code === 'SQLITE_CONSTRAINT') {
-                        return interaction.editReply({
-                          content: `❌ Invoice ID ${invoiceId} was just used by another account.`,
-                        });
-                      }
-
-                      logError('DB insert error for verification', dbErr);
-                      return interaction.editReply({
-                        content: '❌ Internal error while saving verification.',
-                      });
-                    }
-
-                    try {
-                      const guild = interaction.guild;
-                      const member = await guild.members
-                        .fetch(interaction.user.id)
-                        .catch(() => null);
-
-                      if (!member) {
-                        return interaction.editReply({
-                          content:
-                            '✅ Invoice verified but could not find your guild member to assign role. Contact staff.',
-                        });
-                      }
-
-                      const me = guild.members.me;
-                      if (
-                        !me ||
-                        !me.permissions.has(PermissionsBitField.Flags.ManageRoles)
-                      ) {
-                        return interaction.editReply({
-                          content:
-                            '✅ Invoice verified but bot lacks Manage Roles to assign role. Contact staff.',
-                        });
-                      }
-
-                      const role =
-                        guild.roles.cache.get(roleIdStr) ||
-                        (await guild.roles.fetch(roleIdStr).catch(() => null));
-
-                      if (!role) {
-                        return interaction.editReply({
-                          content:
-                            '✅ Invoice verified but configured role not found in this server. Contact staff.',
-                        });
-                      }
-
-                      if (me.roles.highest.position <= role.position) {
-                        return interaction.editReply({
-                          content:
-                            '✅ Invoice verified but bot role is not high enough to assign the verification role. Contact staff.',
-                        });
-                      }
-
-                      await member.roles.add(
-                        role,
-                        `Verified invoice ${invoiceId}`
-                      );
-
-                      return interaction.editReply({
-                        content: `✅ Invoice verified! Status: ${currentStatus}. Role <@&${roleIdStr}> assigned.`,
-                      });
-                    } catch (assignErr) {
-                      logError(
-                        'Failed to assign role after verification',
-                        assignErr
-                      );
-                      return interaction.editReply({
-                        content:
-                          '✅ Invoice verified but failed to assign role. Contact staff.',
-                      });
-                    }
-                  }
-                );
-              }
+          const productIds = attempt.productIds;
+          const grants = await resolveGrantsForProducts(interaction.guildId, productIds, settings.verify_role, provider.id);
+
+          if (grants.length === 0) {
+            return finish(
+              productIds.length > 0
+                ? '✅ Invoice verified but no role mapping found and no fallback role configured.'
+                : '✅ Invoice verified but no product info and no fallback role configured.',
+              'warning',
+              'No role to assign',
+              productIds.length > 0 ? 'No role mapping and no verify_role' : 'No product info and no verify_role'
+            );
+          }
 
-              if (productId) {
-                db.get(
-                  `SELECT role_id FROM role_mappings WHERE product_id = ?`,
-                  [productId],
-                  (mapErr, mapRow) => {
-                    if (mapErr) {
-                      logError('DB error fetching role mapping', mapErr);
-                      if (VERIFY_ROLE_ID) assignRoleAndPersist(VERIFY_ROLE_ID);
-                      else
-                        return interaction.editReply({
-                          content:
-                            '✅ Invoice verified but no role mapping and no VERIFY_ROLE_ID configured.',
-                        });
-                      return;
-                    }
-
-                    if (mapRow && mapRow.role_id) {
-                      assignRoleAndPersist(mapRow.role_id);
-                    } else if (VERIFY_ROLE_ID) {
-                      assignRoleAndPersist(VERIFY_ROLE_ID);
-                    } else {
-                      return interaction.editReply({
-                        content:
-                          '✅ Invoice verified but no role mapping found and VERIFY_ROLE_ID not configured.',
-                      });
-                    }
-                  }
-                );
-              } else {
-                if (VERIFY_ROLE_ID) assignRoleAndPersist(VERIFY_ROLE_ID);
-                else
-                  return interaction.editReply({
-                    content:
-                      '✅ Invoice verified but no product info and VERIFY_ROLE_ID not configured.',
-                  });
-              }
-            } catch (apiErr) {
-              if (apiErr.response) {
-                logError(
-                  'Sell.app API error',
-                  apiErr.response.status,
-                  apiErr.response.data
-                );
+          const result = await assignRoleAndPersist({
+            guild: interaction.guild,
+            discordId: interaction.user.id,
+            invoiceId,
+            grants,
+            status: currentStatus,
+            provider: provider.id,
+          });
 
-                if (apiErr.response.status === 401) {
-                  return interaction.editReply({
-                    content: '❌ Sell.app API unauthorized (invalid API key).',
-                  });
-                }
+          const content = assignResultMessage(result, { invoiceId, status: currentStatus });
+          if (result.ok) {
+            return finish(content, 'success', `Verified — ${result.assigned.map((r) => `<@&${r}>`).join(', ')}`);
+          }
+          if (result.code === 'DUPLICATE' || result.code === 'DB_ERROR') {
+            return finish(content, 'failure', result.code, content);
+          }
+          return finish(content, 'warning', `Verified, role problem (${result.code})`, content);
+        } catch (apiErr) {
+          if (apiErr.response) {
+            logError(
+              `${provider.name} API error`,
+              apiErr.response.status,
+              apiErr.response.data
+            );
 
-                if (apiErr.response.status === 404) {
-                  return interaction.editReply({
-                    content: '❌ Invoice not found.',
-                  });
-                }
-              } else {
-                logError('Sell.app request failed', apiErr.message);
-              }
+            if (apiErr.response.status === 401) {
+              return finish(
+                `❌ ${provider.name} API unauthorized (invalid API key).`,
+                'failure',
+                'API unauthorized',
+                `${provider.name} returned 401`
+              );
+            }
 
-              return interaction.editReply({
-                content:
-                  '❌ Could not verify invoice. Please try again later.',
+            if (apiErr.response.status === 404) {
+              return finish('❌ Invoice not found.', 'failure', 'Not found', `${provider.name} returned 404`, {
+                strike: true,
               });
             }
+          } else {
+            logError(`${provider.name} request failed`, apiErr.message);
           }
-        );
 
-        return;
+          return finish(
+            '❌ Could not verify invoice. Please try again later.',
+            'failure',
+            'API error',
+            apiErr.response ? `${provider.name} returned ${apiErr.response.status}` : apiErr.message
+          );
+        }
+      }
+    }
+
+    // "Fix and retry" after a modal submit with broken images: reopen the modal with the submitted values
+    if (interaction.isButton() && interaction.customId.startsWith('imgretry:')) {
+      const retryId = interaction.customId.split(':')[1];
+      const shown = [...shownImageModals.entries()].find(
+        ([k, v]) => v.retryId === retryId && k.startsWith(`${interaction.user.id}:`)
+      );
+      if (!shown) {
+        return interaction.reply({ content: 'This form expired. Run the command again.', flags: 64 });
+      }
+      return interaction.showModal(shown[1].modal);
+    }
+
+    // Role panel clicks from members: toggle one role (button), add roles (panel select menu) or
+    // change them through the member's own select ("Edit my roles")
+    if (
+      (interaction.isButton() && /^rolepanel(_edit)?:/.test(interaction.customId)) ||
+      (interaction.isStringSelectMenu() && /^rolepanel_(select|mine):/.test(interaction.customId))
+    ) {
+      const kind = interaction.customId.split(':')[0];
+      // Checks and role changes can take longer than Discord's 3 seconds, so acknowledge first. The
+      // member's own select is edited in place; everything else gets an ephemeral reply.
+      if (kind === 'rolepanel_mine') await interaction.deferUpdate();
+      else await interaction.deferReply({ flags: 64 });
+
+      const panelId = parseInt(interaction.customId.split(':')[1], 10);
+      const panel = await getRolePanel(interaction.guild.id, panelId);
+      if (!panel) return interaction.editReply({ content: 'This role panel has been removed.', components: [] });
+
+      const member = interaction.member;
+      if (panel.required_role_id && !member.roles.cache.has(panel.required_role_id)) {
+        return interaction.editReply({
+          content: `You need the <@&${panel.required_role_id}> role to use this panel.`,
+          components: [],
+          allowedMentions: { parse: [] },
+        });
+      }
+
+      const entries = await getRolePanelRoles(panel.id);
+      const panelRoleIds = entries.map((e) => e.role_id);
+      const held = new Set(panelRoleIds.filter((id) => member.roles.cache.has(id)));
+
+      if (kind === 'rolepanel_edit') {
+        if (!entries.length) return interaction.editReply({ content: 'This panel has no roles.' });
+        return interaction.editReply({
+          content: 'Select the roles you want to keep or add; unselect the ones to remove.',
+          components: renderMemberRolePanelMenu(interaction.guild, panel, entries, held),
+        });
+      }
+
+      // roleId -> wanted state. Button: the clicked role flips. Panel select: picked roles are added and
+      // nothing is removed, since the shared menu doesn't know what the member has. Own select: only
+      // options whose preselection the member changed.
+      const changes = new Map();
+      if (kind === 'rolepanel') {
+        const roleId = interaction.customId.split(':')[2];
+        if (!panelRoleIds.includes(roleId)) {
+          return interaction.editReply({ content: 'That role is no longer on this panel.' });
+        }
+        changes.set(roleId, !member.roles.cache.has(roleId));
+      } else if (kind === 'rolepanel_select') {
+        for (const roleId of interaction.values) changes.set(roleId, true);
+      } else {
+        const picked = new Set(interaction.values);
+        for (const option of interaction.component?.options || []) {
+          if (Boolean(option.default) !== picked.has(option.value)) changes.set(option.value, picked.has(option.value));
+        }
+      }
+
+      const toAdd = [];
+      const toRemove = [];
+      const failed = [];
+
+      for (const [roleId, want] of changes) {
+        if (!panelRoleIds.includes(roleId)) continue;
+        if (want === member.roles.cache.has(roleId)) continue;
+
+        // Checked again on click: a role's permissions or mappings may have changed since it was added
+        const check = await checkPanelRole(interaction.guild, roleId, settings);
+        if (!check.ok) {
+          failed.push(`<@&${roleId}>`);
+          logError(`Role panel #${panel.id}: cannot assign ${roleId}`, check.reason);
+          continue;
+        }
+        (want ? toAdd : toRemove).push(roleId);
+      }
+
+      // One request per direction instead of one per role
+      const applied = { add: [], remove: [] };
+      for (const [direction, roleIds] of [['add', toAdd], ['remove', toRemove]]) {
+        if (!roleIds.length) continue;
+        try {
+          await member.roles[direction](roleIds, `Role panel #${panel.id}`);
+          applied[direction] = roleIds;
+          for (const roleId of roleIds) {
+            if (direction === 'add') held.add(roleId);
+            else held.delete(roleId);
+          }
+        } catch (err) {
+          logError(`Role panel #${panel.id}: failed to ${direction} ${roleIds.join(', ')} for ${interaction.user.id}`, err);
+          failed.push(...roleIds.map((id) => `<@&${id}>`));
+        }
+      }
+
+      const lines = [];
+      if (applied.add.length) lines.push(`✅ Added ${applied.add.map((id) => `<@&${id}>`).join(', ')}`);
+      if (applied.remove.length) lines.push(`➖ Removed ${applied.remove.map((id) => `<@&${id}>`).join(', ')}`);
+      if (failed.length) lines.push(`⚠️ Could not update ${failed.join(', ')}. Please tell a staff member.`);
+      if (!lines.length) lines.push('Your roles already match your choice.');
+
+      // The own select gets fresh preselections, so it can be used again
+      return interaction.editReply({
+        content: lines.join('\n'),
+        components: kind === 'rolepanel_mine' ? renderMemberRolePanelMenu(interaction.guild, panel, entries, held) : [],
+        allowedMentions: { parse: [] },
+      });
+    }
+
+    // /embed_builder steps (buttons, select menus and their modals)
+    if (
+      ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('ebuild:')) ||
+      (interaction.isModalSubmit() && interaction.customId.startsWith('ebuildModal:'))
+    ) {
+      const [, sessionId, action, indexRaw] = interaction.customId.split(':');
+      const session = builderSessions.get(sessionId);
+
+      if (!session) {
+        return interaction.reply({ content: 'This builder has expired. Start a new one with `/embed_builder`.', flags: 64 });
+      }
+      if (session.userId !== interaction.user.id) {
+        return interaction.reply({ content: 'Only the person who opened this builder can use it.', flags: 64 });
+      }
+
+      session.updatedAt = Date.now();
+      const authorDisplayName = (interaction.member && interaction.member.displayName) || interaction.user.username;
+      const viewOptions = { authorDisplayName, settings };
+
+      if (interaction.isModalSubmit()) {
+        const error = applyBuilderModal(session, action, indexRaw != null ? parseInt(indexRaw, 10) : null, interaction.fields);
+        if (error) return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+        return interaction.update(builderView(session, viewOptions));
+      }
+
+      if (action === 'color') {
+        const value = interaction.values[0];
+        if (value === 'custom') return interaction.showModal(builderModal(session, 'color'));
+        session.color = value === 'default' ? null : parseInt(value, 10);
+        return interaction.update(builderView(session, viewOptions));
+      }
+
+      if (action === 'editfield') {
+        const index = parseInt(interaction.values[0], 10);
+        if (!session.fields[index]) return interaction.update(builderView(session, viewOptions));
+        return interaction.showModal(builderModal(session, 'editfield', index));
+      }
+
+      if (action === 'removelink') {
+        session.links.splice(parseInt(interaction.values[0], 10), 1);
+        return interaction.update(builderView(session, viewOptions));
+      }
+
+      if (action === 'timestamp') {
+        session.timestamp = !session.timestamp;
+        return interaction.update(builderView(session, viewOptions));
+      }
+
+      if (action === 'cancel') {
+        builderSessions.delete(session.id);
+        return interaction.update({ content: 'Embed builder closed.', embeds: [], components: [] });
+      }
+
+      if (action === 'send') {
+        const channel = await interaction.guild.channels.fetch(session.channelId).catch(() => null);
+        if (!channel || !channel.isTextBased()) {
+          return interaction.reply({ content: 'Target channel not found.', flags: 64 });
+        }
+
+        const embed = buildBuilderEmbed(session, viewOptions);
+        if (builderEmbedLength(embed) > EMBED_LIMITS.total) {
+          return interaction.reply({ content: `❌ The embed is over ${EMBED_LIMITS.total} characters.`, flags: 64 });
+        }
+
+        const linkRow = builderLinkRow(session);
+        try {
+          await channel.send({ embeds: [embed], components: linkRow ? [linkRow] : [], allowedMentions: { parse: [] } });
+        } catch (err) {
+          logError('Failed to send builder embed', err);
+          return interaction.reply({ content: `❌ Failed to send: ${err.message}`.slice(0, 2000), flags: 64 });
+        }
+
+        builderSessions.delete(session.id);
+        logInfo(`Builder embed sent to #${channel.name} (${channel.id}) by ${interaction.user.tag}`);
+        return interaction.update({ content: `✅ Embed posted to ${channel}.`, embeds: [], components: [] });
+      }
+
+      const modal = builderModal(session, action);
+      if (!modal) return interaction.reply({ content: 'Unknown builder action.', flags: 64 });
+      return interaction.showModal(modal);
+    }
+
+    // /embedhistory: diff a revision against the live message, or restore one
+    if (
+      (interaction.isStringSelectMenu() && interaction.customId.startsWith('embedhist_diff:')) ||
+      (interaction.isButton() && interaction.customId.startsWith('embedhist_restore:'))
+    ) {
+      if (!interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
+        return interaction.reply({ content: 'Admin permissions required.', flags: 64 });
+      }
+
+      const revisionId = parseInt(interaction.isButton() ? interaction.customId.split(':')[1] : interaction.values[0], 10);
+      const revision = await dbGet(`SELECT * FROM embed_revisions WHERE id = ? AND guild_id = ?`, [revisionId, interaction.guild.id]);
+      if (!revision) return interaction.reply({ content: `❌ Revision #${revisionId} no longer exists.`, flags: 64 });
+
+      const channel = await interaction.guild.channels.fetch(revision.channel_id).catch(() => null);
+      const message = channel ? await channel.messages.fetch(revision.message_id).catch(() => null) : null;
+      if (!message) return interaction.reply({ content: '❌ The message was deleted.', flags: 64 });
+
+      const snapshot = JSON.parse(revision.snapshot);
+
+      if (interaction.isStringSelectMenu()) {
+        const embed = new EmbedBuilder()
+          .setTitle(`Revision #${revision.id} → current message`)
+          .setDescription(diffSnapshots(snapshot, messageToEmbedJson(message)))
+          .setFooter({ text: '- removed since this revision, + added since' })
+          .setColor(settings.embed_color);
+        const restore = new ButtonBuilder()
+          .setCustomId(`embedhist_restore:${revision.id}`)
+          .setLabel(`Restore #${revision.id}`)
+          .setStyle(ButtonStyle.Danger);
+        return interaction.reply({ embeds: [embed], components: [new ActionRowBuilder().addComponents(restore)], flags: 64 });
+      }
+
+      try {
+        await editMessageWithHistory(
+          message,
+          { content: snapshot.content || null, embeds: snapshot.embeds || [] },
+          { editedBy: interaction.user.id, source: `restore #${revision.id}` }
+        );
+      } catch (err) {
+        logError(`Failed to restore revision #${revision.id}`, err);
+        return interaction.reply({ content: '❌ Failed to restore. Check permissions and message state.', flags: 64 });
       }
+
+      logInfo(`Message ${message.id} restored to revision #${revision.id} by ${interaction.user.tag}`);
+      return interaction.reply({
+        content: `✅ Restored revision #${revision.id}. The replaced version was saved too, so this can be undone from \`/embedhistory\`.`,
+        flags: 64,
+      });
     }
 
     // Buttons
     if (interaction.isButton()) {
-      if (interaction.customId === 'verify_invoice_button') {
+      if (interaction.customId === 'verify_invoice_button' || interaction.customId.startsWith('verify_invoice_button:')) {
         const now = Date.now();
         const last = buttonCooldown.get(interaction.user.id) || 0;
         const diff = now - last;
@@ -1531,8 +8335,15 @@ if (commandName === 'verifyemb') {
 
         buttonCooldown.set(interaction.user.id, now);
 
+        const lockout = await getActiveLockout(interaction.user.id).catch(() => null);
+        if (lockout) {
+          return interaction.reply({ content: lockoutMessage(lockout), flags: 64 });
+        }
+
+        const providerId = interaction.customId.split(':')[1];
+
         const modal = new ModalBuilder()
-          .setCustomId('invoice_modal')
+          .setCustomId(providerId ? `invoice_modal:${providerId}` : 'invoice_modal')
           .setTitle('Verify Invoice');
 
         const invoiceInput = new TextInputBuilder()
@@ -1545,6 +8356,18 @@ if (commandName === 'verifyemb') {
         const row = new ActionRowBuilder().addComponents(invoiceInput);
         modal.addComponents(row);
 
+        if (settings.email_mode !== 'off') {
+          const emailInput = new TextInputBuilder()
+            .setCustomId('invoice_email')
+            .setLabel(settings.email_mode === 'required' ? 'Purchase email' : 'Purchase email (optional)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(settings.email_mode === 'required')
+            .setMaxLength(254)
+            .setPlaceholder('Email used at checkout');
+
+          modal.addComponents(new ActionRowBuilder().addComponents(emailInput));
+        }
+
         await interaction.showModal(modal);
       }
     }
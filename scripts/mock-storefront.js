@@ -0,0 +1,97 @@
+/**
+ * scripts/mock-storefront.js
+ *
+ * Local stand-in for every supported storefront API so invoice verification can be
+ * tested without real purchases. Point the bot at it with:
+ *
+ *   SELLAPP_API_BASE=http://127.0.0.1:4010/sellapp     SELLAPP_API_KEY=test
+ *   SELLAUTH_API_BASE=http://127.0.0.1:4010/sellauth   SELLAUTH_API_KEY=test SELLAUTH_SHOP_ID=1
+ *   SHOPPY_API_BASE=http://127.0.0.1:4010/shoppy       SHOPPY_API_KEY=test
+ *   GENERIC_STORE_URL=http://127.0.0.1:4010/generic/orders/{id}
+ *
+ * Invoice IDs decide the answer: paid-*, refund-*, dispute-*, pending-* (anything else is 404).
+ * The product ID is the part after the first dash, e.g. paid-1000 -> product 1000.
+ *
+ * Usage:
+ *   node scripts/mock-storefront.js [port]   (default 4010)
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2], 10) || 4010;
+
+const STATES = {
+  paid: { sellapp: 'COMPLETED', sellauth: 'completed', generic: 'paid' },
+  refund: { sellapp: 'REFUNDED', sellauth: 'refunded', generic: 'refunded' },
+  dispute: { sellapp: 'DISPUTED', sellauth: 'disputed', generic: 'chargeback' },
+  pending: { sellapp: 'PENDING', sellauth: 'pending', generic: 'pending' },
+};
+
+function parseInvoiceId(id) {
+  const [state, ...rest] = String(id).split('-');
+  if (!STATES[state]) return null;
+  return { state, productId: rest.join('-') || '1000' };
+}
+
+const BUILDERS = {
+  sellapp: (id, { state, productId }) => ({
+    data: {
+      id,
+      status: { status: { status: STATES[state].sellapp } },
+      customer_information: { email: 'buyer@example.com' },
+      items: [{ product_id: productId, quantity: 1 }],
+    },
+  }),
+  sellauth: (id, { state, productId }) => ({
+    id,
+    status: STATES[state].sellauth,
+    email: 'buyer@example.com',
+    items: [{ product_id: productId, quantity: 1 }],
+  }),
+  shoppy: (id, { state, productId }) => ({
+    id,
+    product_id: productId,
+    email: 'buyer@example.com',
+    paid_at: state === 'pending' ? null : new Date().toISOString(),
+    refunded_at: state === 'refund' ? new Date().toISOString() : null,
+    status: state === 'dispute' ? 'chargeback' : undefined,
+  }),
+  generic: (id, { state, productId }) => ({
+    id,
+    status: STATES[state].generic,
+    email: 'buyer@example.com',
+    items: [{ product_id: productId }],
+  }),
+};
+
+// /sellapp/invoices/:id, /sellauth/shops/:shop/invoices/:id, /shoppy/orders/:id, /generic/orders/:id
+const ROUTES = [
+  { provider: 'sellapp', pattern: /^\/sellapp\/invoices\/([^/]+)$/ },
+  { provider: 'sellauth', pattern: /^\/sellauth\/shops\/[^/]+\/invoices\/([^/]+)$/ },
+  { provider: 'shoppy', pattern: /^\/shoppy\/orders\/([^/]+)$/ },
+  { provider: 'generic', pattern: /^\/generic\/orders\/([^/]+)$/ },
+];
+
+function send(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const route = ROUTES.find((r) => r.pattern.test(pathname));
+
+  if (req.method !== 'GET' || !route) return send(res, 404, { message: 'Not found' });
+  if (route.provider !== 'generic' && !req.headers.authorization) {
+    return send(res, 401, { message: 'Unauthenticated' });
+  }
+
+  const id = decodeURIComponent(pathname.match(route.pattern)[1]);
+  const parsed = parseInvoiceId(id);
+  if (!parsed) return send(res, 404, { message: 'Invoice not found' });
+
+  console.log(`[mock] ${route.provider} ${id} -> ${parsed.state}`);
+  return send(res, 200, BUILDERS[route.provider](id, parsed));
+});
+
+server.listen(port, () => console.log(`[mock] storefront API listening on http://127.0.0.1:${port}`));
@@ -0,0 +1,79 @@
+/**
+ * scripts/sellapp-webhook-sim.js
+ *
+ * Local stand-in for Sell.app: posts a signed sample webhook payload to the bot's
+ * webhook listener so the grant/revoke flow can be tested without a real purchase.
+ *
+ * Usage:
+ *   node scripts/sellapp-webhook-sim.js <paid|refunded|disputed> <invoiceId> <discordIdOrUsername> [productId] [--bad-signature]
+ *
+ * Reads SELLAPP_WEBHOOK_PORT, SELLAPP_WEBHOOK_SECRET and SELLAPP_DISCORD_FIELD from .env.
+ */
+
+require('dotenv').config();
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const { SELLAPP_WEBHOOK_PORT, SELLAPP_WEBHOOK_SECRET, SELLAPP_DISCORD_FIELD } = process.env;
+
+const EVENTS = {
+  paid: { event: 'invoice.completed', status: 'COMPLETED' },
+  refunded: { event: 'invoice.refunded', status: 'REFUNDED' },
+  disputed: { event: 'invoice.disputed', status: 'DISPUTED' },
+};
+
+function usage() {
+  console.error(
+    'Usage: node scripts/sellapp-webhook-sim.js <paid|refunded|disputed> <invoiceId> <discordIdOrUsername> [productId] [--bad-signature]'
+  );
+  process.exit(1);
+}
+
+async function main() {
+  const args = process.argv.slice(2).filter((a) => a !== '--bad-signature');
+  const badSignature = process.argv.includes('--bad-signature');
+  const [kind, invoiceId, buyer, productId] = args;
+
+  if (!EVENTS[kind] || !invoiceId || !buyer) usage();
+
+  if (!SELLAPP_WEBHOOK_PORT || !SELLAPP_WEBHOOK_SECRET) {
+    console.error('[ERROR] SELLAPP_WEBHOOK_PORT and SELLAPP_WEBHOOK_SECRET must be set in .env');
+    process.exit(1);
+  }
+
+  const { event, status } = EVENTS[kind];
+  const fieldName = SELLAPP_DISCORD_FIELD && SELLAPP_DISCORD_FIELD.trim() ? SELLAPP_DISCORD_FIELD : 'Discord';
+
+  const payload = {
+    event,
+    data: {
+      id: Number(invoiceId) || invoiceId,
+      status: { status: { status }, history: [{ status }] },
+      customer_information: { email: 'buyer@example.com' },
+      additional_information: [{ label: fieldName, value: buyer }],
+      items: [{ product_id: productId || '1000', quantity: 1 }],
+      created_at: new Date().toISOString(),
+    },
+  };
+
+  const body = JSON.stringify(payload);
+  const secret = badSignature ? `${SELLAPP_WEBHOOK_SECRET}-wrong` : SELLAPP_WEBHOOK_SECRET;
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const url = `http://127.0.0.1:${SELLAPP_WEBHOOK_PORT}/webhooks/sellapp`;
+
+  try {
+    const resp = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', signature },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    console.log(`[INFO] ${event} for invoice ${invoiceId} -> HTTP ${resp.status}`, resp.data || '');
+  } catch (err) {
+    console.error('[ERROR] Request failed', err.message);
+    process.exit(1);
+  }
+}
+
+main();